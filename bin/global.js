@@ -1,9 +1,14 @@
 #!/usr/bin/env node
 
 import { Command } from 'commander';
+import { addInitCommand } from '../src/commands/init.js';
 import { addScanCommand } from '../src/commands/scan.js';
+import { addCheckCommand } from '../src/commands/check.js';
 import { addConfigCommand } from '../src/commands/config.js';
 import { addCreateCommand } from '../src/commands/create.js';
+import { addUndoCommand } from '../src/commands/undo.js';
+import { addHistoryCommand } from '../src/commands/history.js';
+import { addTemplateCommand } from '../src/commands/template.js';
 
 
 const program = new Command();
@@ -14,10 +19,20 @@ program
     .version('1.0.0');
 
 // Add commands
+addInitCommand(program);
+
 addScanCommand(program);
 
+addCheckCommand(program);
+
 addConfigCommand(program);
 
 addCreateCommand(program);
 
+addUndoCommand(program);
+
+addHistoryCommand(program);
+
+addTemplateCommand(program);
+
 program.parse(process.argv);
\ No newline at end of file
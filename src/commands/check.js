@@ -0,0 +1,103 @@
+import chalk, { Chalk } from 'chalk';
+import fs from 'fs-extra';
+import ora from 'ora';
+import path from 'path';
+import { ArchitectureChecker } from '../core/checker/ArchitectureChecker.js';
+import { CHECK_RULES } from '../core/checker/CheckRules.js';
+import { REPORT_FORMATS, formatJson, formatJunit, summarize } from '../core/checker/CheckReport.js';
+import { ConfigManager } from '../core/config/ConfigManager.js';
+import { ProjectScanner } from '../core/scanner/ProjectScanner.js';
+import { Logger } from '../utils/Logger.js';
+import { ProjectSelector } from '../utils/ProjectSelector.js';
+
+export function addCheckCommand(program) {
+    program
+        .command('check')
+        .description('Check the project against the architecture rules, exits with 1 when a rule is broken')
+        .option('-f, --format <format>', `Report format (${REPORT_FORMATS.join(', ')})`, 'text')
+        .option('-o, --output <file>', 'Write the report to a file instead of the console')
+        .option('-r, --rule <rules>', `Comma-separated rules to run whatever their severity (${Object.keys(CHECK_RULES).join(', ')})`)
+        .option('--strict', 'Fail on warnings too')
+        .option('--project <name>', 'Project to check in a multi-module build')
+        .action(async (options) => {
+            const spinner = ora();
+
+            try {
+                if (!REPORT_FORMATS.includes(options.format)) {
+                    throw new Error(`Invalid format '${options.format}'. Valid formats are: ${REPORT_FORMATS.join(', ')}`);
+                }
+
+                const project = await new ProjectSelector().select(options.project);
+                const config = await new ConfigManager(null, { startDir: project?.path || process.cwd() }).getConfig();
+                const rules = options.rule ? options.rule.split(',').map(rule => rule.trim()).filter(Boolean) : null;
+
+                // Reports may go to standard output, so the scanner keeps quiet
+                spinner.start('Checking architecture rules...');
+                const structure = await new ProjectScanner(project?.path, config, new Logger({ quiet: true })).scan();
+                const result = await new ArchitectureChecker(structure, config).check(rules);
+                spinner.stop();
+
+                const report = formatReport(result, options.format, options.output ? new Chalk({ level: 0 }) : chalk);
+                if (options.output) {
+                    await fs.outputFile(options.output, report);
+                    console.log(chalk.blue(`Report written to ${path.resolve(options.output)}`));
+                } else {
+                    process.stdout.write(report);
+                }
+
+                const summary = summarize(result);
+                if (summary.errors > 0 || (options.strict && summary.warnings > 0)) {
+                    process.exitCode = 1;
+                }
+            } catch (error) {
+                spinner.fail(chalk.red('Error checking the project'));
+                console.error(chalk.red('\nError details:', error.message));
+                process.exit(1);
+            }
+        });
+}
+
+function formatReport(result, format, colors) {
+    switch (format) {
+        case 'json':
+            return formatJson(result);
+        case 'junit':
+            return formatJunit(result);
+        default:
+            return formatText(result, colors);
+    }
+}
+
+// Problems grouped by file, then a summary line
+function formatText(result, colors) {
+    const summary = summarize(result);
+    const lines = [];
+    const byFile = new Map();
+    for (const violation of result.violations) {
+        byFile.set(violation.file, [...(byFile.get(violation.file) || []), violation]);
+    }
+
+    for (const [file, violations] of byFile) {
+        lines.push('', colors.underline(file));
+        for (const violation of violations) {
+            const severity = violation.severity === 'error' ? colors.red('error  ') : colors.yellow('warning');
+            const line = String(violation.line ?? '').padStart(5);
+            lines.push(`${colors.gray(line)}  ${severity}  ${violation.message}  ${colors.gray(violation.rule)}`);
+        }
+    }
+
+    const checked = `${result.files} file${result.files === 1 ? '' : 's'}, ${result.rules.length} rule${result.rules.length === 1 ? '' : 's'}`;
+    const suppressed = summary.suppressed > 0 ? `, ${summary.suppressed} suppressed` : '';
+    const problems = summary.errors + summary.warnings;
+
+    lines.push('');
+    if (problems === 0) {
+        lines.push(colors.green(`✓ No architecture problems (${checked}${suppressed})`));
+    } else {
+        const counts = `${summary.errors} error${summary.errors === 1 ? '' : 's'}, ${summary.warnings} warning${summary.warnings === 1 ? '' : 's'}`;
+        const color = summary.errors > 0 ? colors.red : colors.yellow;
+        lines.push(color(`✖ ${problems} problem${problems === 1 ? '' : 's'} (${counts}) in ${checked}${suppressed}`));
+    }
+
+    return `${lines.join('\n')}\n`;
+}
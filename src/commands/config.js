@@ -1,22 +1,46 @@
 import chalk from 'chalk';
+import fs from 'fs-extra';
 import inquirer from 'inquirer';
 import ora from 'ora';
-import { ConfigManager } from '../core/Config/ConfigManager.js';
+import path from 'path';
+import { ConfigManager, CONFIG_FILE_NAME } from '../core/config/ConfigManager.js';
+import { SERVICE_OPERATIONS } from '../core/generator/ResourceGenerator.js';
+import { ModuleLayout } from '../core/config/ModuleLayout.js';
+import { ResourceNaming } from '../core/config/ResourceNaming.js';
+import { ARCHITECTURE_PRESETS, applyPreset } from '../core/config/ArchitecturePresets.js';
+import { CONFIG_SCHEMA } from '../core/config/ConfigValidator.js';
+
+const LOCATION_PATTERN = new RegExp(CONFIG_SCHEMA.definitions.location.pattern);
 
 export function addConfigCommand(program) {
-    program
+    const config = program
         .command('config')
         .description('View, update or reset the CLI configuration')
         .option('-v, --view', 'View the configuration')
         .option('-r, --reset', 'Reset to default configuration')
         .option('-i, --init', 'Initialize configuration with defaults')
+        .option('--validate', 'Check the configuration against the schema, exits with 1 when it is invalid')
+        .option('--preset <name>', `Apply an architecture preset to the project file (${Object.keys(ARCHITECTURE_PRESETS).join(', ')})`)
         .option('-p, --path <path>', 'Specify config file path')
         .action(async (options) => {
             try {
-                const configPath = await getConfigPath(options.path);
+                // Checking and viewing only read and a preset goes to the project file, so they never ask for a file
+                const configPath = options.validate || options.view || options.preset
+                    ? options.path
+                    : await getConfigPath(options.path);
                 const configManager = new ConfigManager(configPath);
                 const spinner = ora();
 
+                if (options.validate) {
+                    await validateConfig(configManager);
+                    return;
+                }
+
+                if (options.preset) {
+                    await applyArchitecturePreset(configManager, options.preset);
+                    return;
+                }
+
                 const hasConfig = await configManager.hasConfig();
 
                 if (options.init) {
@@ -34,14 +58,7 @@ export function addConfigCommand(program) {
                     return;
                 }
 
-                if (!hasConfig) {
-                    console.log(chalk.yellowBright('\nWARNING: No configuration found! 🚨'));
-                    console.log(chalk.bold('Use --init to create a new configuration.'));
-                    return;
-                }
-
                 if (options.view) {
-                    console.log(chalk.gray(`\nUsing configuration from: ${configManager.configFile}`));
                     await viewConfig(configManager);
                 } else if (options.reset) {
                     await resetConfig(configManager, spinner);
@@ -53,12 +70,117 @@ export function addConfigCommand(program) {
                 process.exit(1);
             }
         });
+
+    config
+        .command('get')
+        .description('Print the effective value of a setting, or the whole configuration')
+        .argument('[setting]', 'Dotted setting path, e.g. dtoPreferences.types')
+        .action(async (setting, options, command) => {
+            await runConfigAction(command, async configManager => {
+                if (!setting) {
+                    console.log(JSON.stringify(await configManager.getConfig(), null, 2));
+                    return;
+                }
+
+                const { value } = await configManager.getSetting(setting);
+                console.log(typeof value === 'object' && value !== null ? JSON.stringify(value, null, 2) : String(value));
+            });
+        });
+
+    config
+        .command('set')
+        .description('Change a setting in the project file, or the user file with --user')
+        .argument('<setting>', 'Dotted setting path, e.g. servicePreferences.useTransactional')
+        .argument('<value>', 'New value; lists are comma-separated or JSON, objects are JSON')
+        .option('--user', 'Change the user file instead of the project file')
+        .action(async (setting, value, options, command) => {
+            await runConfigAction(command, async configManager => {
+                const result = await configManager.setSetting(setting, value, scopeOf(options));
+                console.log(chalk.green(`Set ${setting} to ${JSON.stringify(result.value)} in ${result.file}`));
+            });
+        });
+
+    config
+        .command('unset')
+        .description('Remove a setting from the project file, or the user file with --user, so lower layers apply again')
+        .argument('<setting>', 'Dotted setting path, e.g. dtoPreferences.types')
+        .option('--user', 'Change the user file instead of the project file')
+        .action(async (setting, options, command) => {
+            await runConfigAction(command, async configManager => {
+                const file = await configManager.unsetSetting(setting, scopeOf(options));
+                if (!file) {
+                    console.log(chalk.yellow(`${setting} is not set in ${configManager.getConfigFile(scopeOf(options))}`));
+                    return;
+                }
+                console.log(chalk.green(`Removed ${setting} from ${file}`));
+            });
+        });
+
+    config
+        .command('export')
+        .description('Write the configuration from the defaults, user and project files to a file or stdout')
+        .argument('[file]', 'File to write, stdout when omitted')
+        .action(async (file, options, command) => {
+            await runConfigAction(command, async configManager => {
+                const content = `${JSON.stringify(await configManager.exportConfig(), null, 2)}\n`;
+                if (!file) {
+                    process.stdout.write(content);
+                    return;
+                }
+                await fs.outputFile(file, content);
+                console.log(chalk.green(`Configuration exported to ${path.resolve(file)}`));
+            });
+        });
+
+    config
+        .command('import')
+        .description('Replace the project file, or the user file with --user, with an exported configuration')
+        .argument('<file>', 'Configuration file to import')
+        .option('--user', 'Import into the user file instead of the project file')
+        .option('--merge', 'Merge into the existing file instead of replacing it')
+        .option('-y, --yes', 'Do not ask before replacing an existing file')
+        .action(async (file, options, command) => {
+            await runConfigAction(command, async configManager => {
+                const target = configManager.getConfigFile(scopeOf(options));
+                if (!options.merge && !options.yes && process.stdin.isTTY && await fs.pathExists(target)) {
+                    const { confirm } = await inquirer.prompt({
+                        type: 'confirm',
+                        name: 'confirm',
+                        message: `Replace ${target}?`,
+                        default: false
+                    });
+                    if (!confirm) {
+                        return;
+                    }
+                }
+
+                const written = await configManager.importConfig(file, { scope: scopeOf(options), merge: options.merge });
+                console.log(chalk.green(`Configuration imported into ${written}`));
+            });
+        });
+}
+
+// Subcommands read the file given with "config --path" like the main command
+async function runConfigAction(command, action) {
+    try {
+        await action(new ConfigManager(command.optsWithGlobals().path));
+    } catch (error) {
+        console.error(chalk.red('\nError:', error.message));
+        process.exit(1);
+    }
+}
+
+function scopeOf(options) {
+    return options.user ? 'user' : 'project';
 }
 
 async function getConfigPath(providedPath) {
     if (providedPath) {
         return providedPath;
     }
+    if (!process.stdin.isTTY) {
+        return null;
+    }
 
     const { customPath } = await inquirer.prompt({
         type: 'confirm',
@@ -72,7 +194,7 @@ async function getConfigPath(providedPath) {
             type: 'input',
             name: 'filePath',
             message: 'Enter the path for the configuration file:',
-            default: 'screan-boot.config.json',
+            default: CONFIG_FILE_NAME,
             validate: input => {
                 if (!input.trim()) return 'Path cannot be empty';
                 if (!input.endsWith('.json')) return 'File must have .json extension';
@@ -82,7 +204,8 @@ async function getConfigPath(providedPath) {
         return filePath;
     }
 
-    return 'screan-boot.config.json';
+    // The project file found by walking up to the build root
+    return null;
 }
 
 async function showConfigMenu(configManager) {
@@ -91,11 +214,14 @@ async function showConfigMenu(configManager) {
         name: 'section',
         message: 'Select a configuration section to modify:',
         choices: [
+            'Language',
+            'Architecture Preset',
             'Module Structure',
             'Mapper Configuration',
             'DTO Configuration',
             'Enum Configuration',
             'Service Configuration',
+            'Template Configuration',
             'View Current Configuration',
             'Reset to Defaults'
         ]
@@ -105,6 +231,9 @@ async function showConfigMenu(configManager) {
         case 'View Current Configuration':
             await viewConfig(configManager);
             break;
+        case 'Architecture Preset':
+            await applyArchitecturePreset(configManager, await selectPreset(await configManager.getConfig()));
+            break;
         case 'Reset to Defaults':
             await resetConfig(configManager, ora());
             break;
@@ -113,29 +242,24 @@ async function showConfigMenu(configManager) {
     }
 }
 
-async function configureSection(configManager, section) {
-    const config = await configManager.getConfig();
+// Each section prompts with the effective values and returns the settings it asked for,
+// only those are written to the project file
+const SECTION_PROMPTS = {
+    'Language': configureLanguage,
+    'Module Structure': configureModuleStructure,
+    'Mapper Configuration': configureMapper,
+    'DTO Configuration': configureDTO,
+    'Enum Configuration': configureEnum,
+    'Service Configuration': configureService,
+    'Template Configuration': configureTemplates
+};
 
-    switch (section) {
-        case 'Module Structure':
-            await configureModuleStructure(config);
-            break;
-        case 'Mapper Configuration':
-            await configureMapper(config);
-            break;
-        case 'DTO Configuration':
-            await configureDTO(config);
-            break;
-        case 'Enum Configuration':
-            await configureEnum(config);
-            break;
-        case 'Service Configuration':
-            await configureService(config);
-            break;
-    }
+async function configureSection(configManager, section) {
+    const settings = await SECTION_PROMPTS[section](await configManager.getConfig());
 
-    await configManager.saveConfig(config);
+    const file = await configManager.setSettings(settings);
     console.log(chalk.greenBright('\nConfiguration updated successfully! 🚀'));
+    console.log(chalk.gray(`Saved to ${file}`));
 
     const { continueConfig } = await inquirer.prompt({
         type: 'confirm',
@@ -149,39 +273,93 @@ async function configureSection(configManager, section) {
     }
 }
 
+async function configureLanguage(config) {
+    const { language } = await inquirer.prompt({
+        type: 'list',
+        name: 'language',
+        message: 'Language of the generated code:',
+        choices: [
+            { name: 'Detect from the project', value: 'auto' },
+            { name: 'Java', value: 'java' },
+            { name: 'Kotlin', value: 'kotlin' }
+        ],
+        default: config.language || 'auto'
+    });
+
+    return { language };
+}
+
 async function configureModuleStructure(config) {
-    const layers = ['application', 'domain', 'infrastructure'];
-    const defaultFolders = {
-        application: ['mappers', 'services'],
-        domain: ['entities', 'enums'],
-        infrastructure: ['controllers', 'repositories', 'dtos']
-    };
-
-    for (const layer of layers) {
+    const layout = new ModuleLayout(config);
+    const settings = {};
+
+    for (const layer of layout.layerNames()) {
         const { enabled } = await inquirer.prompt({
             type: 'confirm',
             name: 'enabled',
             message: `Enable ${layer} layer?`,
-            default: config.moduleStructure?.layers[layer]?.enabled ?? true
+            default: layout.isLayerEnabled(layer)
         });
-
-        if (!config.moduleStructure) config.moduleStructure = { layers: {} };
-        if (!config.moduleStructure.layers[layer]) config.moduleStructure.layers[layer] = {};
-
-        config.moduleStructure.layers[layer].enabled = enabled;
+        settings[`moduleStructure.layers.${layer}.enabled`] = enabled;
 
         if (enabled) {
+            // Resource folders come from the layout, these are created next to them
             const { folders } = await inquirer.prompt({
-                type: 'checkbox',
+                type: 'input',
                 name: 'folders',
-                message: `Select folders for ${layer} layer:`,
-                choices: defaultFolders[layer],
-                default: config.moduleStructure.layers[layer].folders || defaultFolders[layer]
+                message: `Extra folders for ${layer} layer (comma separated):`,
+                default: (config.moduleStructure?.layers?.[layer]?.folders || []).join(', ')
             });
 
-            config.moduleStructure.layers[layer].folders = folders;
+            settings[`moduleStructure.layers.${layer}.folders`] = folders.split(',').map(folder => folder.trim()).filter(Boolean);
         }
     }
+
+    const { editLayout } = await inquirer.prompt({
+        type: 'confirm',
+        name: 'editLayout',
+        message: 'Change where each resource type is placed?',
+        default: false
+    });
+
+    if (editLayout) {
+        const answers = await inquirer.prompt(Object.entries(layout.layout).map(([type, location]) => ({
+            type: 'input',
+            name: type,
+            message: `Folder for ${type} (below the module, {layer} is the DTO layer):`,
+            default: location,
+            validate: input => LOCATION_PATTERN.test(input.trim()) ||
+                'Use folder names separated by /, e.g. infrastructure/controllers, or leave it empty for the module package'
+        })));
+
+        Object.entries(answers).forEach(([type, location]) => {
+            settings[`moduleStructure.layout.${type}`] = location.trim();
+        });
+    }
+
+    return settings;
+}
+
+async function selectPreset(config) {
+    const { preset } = await inquirer.prompt({
+        type: 'list',
+        name: 'preset',
+        message: 'Select an architecture preset:',
+        choices: Object.entries(ARCHITECTURE_PRESETS).map(([value, preset]) => ({ name: `${value} - ${preset.description}`, value })),
+        default: config.architecture
+    });
+
+    return preset;
+}
+
+// A preset replaces the layers, layout and naming of the project file in one go
+async function applyArchitecturePreset(configManager, name) {
+    const file = await configManager.updateConfigFile('project', values => applyPreset(values, name));
+    console.log(chalk.green(`Applied the ${name} preset to ${file}`));
+
+    const naming = new ResourceNaming(await configManager.getConfig());
+    console.log(chalk.gray(`Resources are named like ${['service', 'serviceImpl', 'repository', 'controller'].map(type => naming.className(type, 'Product')).join(', ')}`));
+    console.log(chalk.gray('Existing modules are not moved, only new modules and resources follow the preset'));
 }
 
 async function configureMapper(config) {
@@ -208,7 +386,7 @@ async function configureMapper(config) {
         }
     ]);
 
-    config.mapperPreferences = { ...config.mapperPreferences, ...answers };
+    return sectionSettings('mapperPreferences', answers);
 }
 
 async function configureDTO(config) {
@@ -235,7 +413,7 @@ async function configureDTO(config) {
         }
     ]);
 
-    config.dtoPreferences = { ...config.dtoPreferences, ...answers };
+    return sectionSettings('dtoPreferences', answers);
 }
 
 async function configureEnum(config) {
@@ -246,7 +424,7 @@ async function configureEnum(config) {
         default: config.enumPreferences?.includeDisplayName ?? true
     });
 
-    config.enumPreferences = { includeDisplayName };
+    return { 'enumPreferences.includeDisplayName': includeDisplayName };
 }
 
 async function configureService(config) {
@@ -262,48 +440,129 @@ async function configureService(config) {
             name: 'constructorInjection',
             message: 'Use constructor injection?',
             default: config.servicePreferences?.constructorInjection ?? true
+        },
+        {
+            type: 'checkbox',
+            name: 'operations',
+            message: 'Select operations for entity-based services and controllers:',
+            choices: SERVICE_OPERATIONS,
+            default: config.servicePreferences?.operations || SERVICE_OPERATIONS,
+            validate: (input) => input.length > 0 || 'Select at least one operation'
         }
     ]);
 
-    config.servicePreferences = { ...config.servicePreferences, ...answers };
+    return sectionSettings('servicePreferences', answers);
+}
+
+async function configureTemplates(config) {
+    const { directory } = await inquirer.prompt({
+        type: 'input',
+        name: 'directory',
+        message: 'Directory with template overrides (leave empty to use the built-in templates):',
+        default: config.templates?.directory || ''
+    });
+
+    return { 'templates.directory': directory.trim() || null };
+}
+
+// Questions skipped through `when` have no answer and leave their setting alone
+function sectionSettings(section, answers) {
+    return Object.fromEntries(Object.entries(answers).map(([key, value]) => [`${section}.${key}`, value]));
 }
 
 async function viewConfig(configManager) {
-    const config = await configManager.getConfig();
+    const { config, sources, files } = await configManager.resolveConfig();
+    const from = settingPath => formatSource(sources, settingPath);
 
     console.log(chalk.magentaBright('\nCurrent Configuration:'));
 
+    // Layers
+    console.log(chalk.blueBright('\nSources (later ones win):'));
+    console.log(chalk.whiteBright('- Built-in defaults'));
+    files.forEach(({ source, file }) => console.log(chalk.whiteBright(`- ${FILE_LABELS[source]}: ${file}`)));
+    if (!files.some(({ source }) => source === 'project')) {
+        console.log(chalk.gray(`  No project file, ${CONFIG_FILE_NAME} would be created at ${configManager.configFile}`));
+    }
+    if (Object.values(sources).some(({ source }) => source === 'env')) {
+        console.log(chalk.whiteBright('- Environment variables'));
+    }
+
+    // Language
+    console.log(chalk.blueBright('\nLanguage:'));
+    console.log(chalk.whiteBright(`- Generated Code: ${config.language === 'auto' || !config.language ? 'Detected from the project' : config.language}`) + from('language'));
+
+    // Architecture
+    console.log(chalk.blueBright('\nArchitecture:'));
+    console.log(chalk.whiteBright(`- Preset: ${config.architecture || 'clean'}`) + from('architecture'));
+
     // Module Structure
     console.log(chalk.blueBright('\nModule Structure:'));
     Object.entries(config.moduleStructure?.layers || {}).forEach(([layer, conf]) => {
-        console.log(chalk.whiteBright(`- ${layer}: ${formatBoolean(conf.enabled)}`));
+        console.log(chalk.whiteBright(`- ${layer}: ${formatBoolean(conf.enabled)}`) + from(`moduleStructure.layers.${layer}.enabled`));
         if (conf.enabled && conf.folders?.length > 0) {
-            console.log(chalk.gray(`  Folders: ${conf.folders.join(', ')}`));
+            console.log(chalk.gray(`  Folders: ${conf.folders.join(', ')}`) + from(`moduleStructure.layers.${layer}.folders`));
         }
     });
 
+    console.log(chalk.blueBright('\nResource Layout:'));
+    Object.entries(new ModuleLayout(config).layout).forEach(([type, location]) => {
+        console.log(chalk.whiteBright(`- ${type}: ${location || '(module package)'}`) + from(`moduleStructure.layout.${type}`));
+    });
+
+    console.log(chalk.blueBright('\nNaming:'));
+    Object.entries(new ResourceNaming(config).suffixes).forEach(([type, suffix]) => {
+        console.log(chalk.whiteBright(`- ${type}: ${suffix}`) + from(`naming.${type}`));
+    });
+
     // Mapper Configuration
     console.log(chalk.blueBright('\nMapper Configuration:'));
-    console.log(chalk.whiteBright(`- Type: ${config.mapperPreferences?.type || 'Not set'}`));
+    console.log(chalk.whiteBright(`- Type: ${config.mapperPreferences?.type || 'Not set'}`) + from('mapperPreferences.type'));
     if (config.mapperPreferences?.type === 'mapstruct') {
-        console.log(chalk.whiteBright(`- Spring Model: ${formatBoolean(config.mapperPreferences.useSpringModel)}`));
+        console.log(chalk.whiteBright(`- Spring Model: ${formatBoolean(config.mapperPreferences.useSpringModel)}`) + from('mapperPreferences.useSpringModel'));
     }
-    console.log(chalk.whiteBright(`- Bidirectional: ${formatBoolean(config.mapperPreferences?.bidirectional)}`));
+    console.log(chalk.whiteBright(`- Bidirectional: ${formatBoolean(config.mapperPreferences?.bidirectional)}`) + from('mapperPreferences.bidirectional'));
 
     // DTO Configuration
     console.log(chalk.blueBright('\nDTO Configuration:'));
-    console.log(chalk.whiteBright(`- Default Location: ${config.dtoPreferences?.defaultLocation || 'infrastructure'}`));
-    console.log(chalk.whiteBright(`- Types: ${config.dtoPreferences?.types?.join(', ') || 'None'}`));
-    console.log(chalk.whiteBright(`- Use Lombok: ${formatBoolean(config.dtoPreferences?.useLombok)}`));
+    console.log(chalk.whiteBright(`- Default Location: ${config.dtoPreferences?.defaultLocation || 'infrastructure'}`) + from('dtoPreferences.defaultLocation'));
+    console.log(chalk.whiteBright(`- Types: ${config.dtoPreferences?.types?.join(', ') || 'None'}`) + from('dtoPreferences.types'));
+    console.log(chalk.whiteBright(`- Use Lombok: ${formatBoolean(config.dtoPreferences?.useLombok)}`) + from('dtoPreferences.useLombok'));
 
     // Enum Configuration
     console.log(chalk.blueBright('\nEnum Configuration:'));
-    console.log(chalk.whiteBright(`- Include Display Name: ${formatBoolean(config.enumPreferences?.includeDisplayName)}`));
+    console.log(chalk.whiteBright(`- Include Display Name: ${formatBoolean(config.enumPreferences?.includeDisplayName)}`) + from('enumPreferences.includeDisplayName'));
 
     // Service Configuration
     console.log(chalk.blueBright('\nService Configuration:'));
-    console.log(chalk.whiteBright(`- Use @Transactional: ${formatBoolean(config.servicePreferences?.useTransactional)}`));
-    console.log(chalk.whiteBright(`- Constructor Injection: ${formatBoolean(config.servicePreferences?.constructorInjection)}`));
+    console.log(chalk.whiteBright(`- Use @Transactional: ${formatBoolean(config.servicePreferences?.useTransactional)}`) + from('servicePreferences.useTransactional'));
+    console.log(chalk.whiteBright(`- Constructor Injection: ${formatBoolean(config.servicePreferences?.constructorInjection)}`) + from('servicePreferences.constructorInjection'));
+    console.log(chalk.whiteBright(`- Operations: ${(config.servicePreferences?.operations || SERVICE_OPERATIONS).join(', ')}`) + from('servicePreferences.operations'));
+
+    // Template Configuration
+    console.log(chalk.blueBright('\nTemplate Configuration:'));
+    console.log(chalk.whiteBright(`- Overrides Directory: ${config.templates?.directory || 'None (built-in templates)'}`) + from('templates.directory'));
+}
+
+async function validateConfig(configManager) {
+    const { errors, files } = await configManager.validateConfig();
+
+    if (files.length === 0) {
+        console.log(chalk.gray('No configuration files found, using the built-in defaults'));
+    }
+    files.forEach(({ file, configVersion, migrations }) => {
+        const migrated = migrations.length > 0
+            ? chalk.yellow(` (version ${configVersion}, migrated in memory: ${migrations.map(migration => migration.description).join(', ')})`)
+            : '';
+        console.log(chalk.gray(`- ${file}`) + migrated);
+    });
+
+    if (errors.length > 0) {
+        console.error(chalk.red(`\nConfiguration is invalid, ${errors.length} problem(s) found:`));
+        errors.forEach(error => console.error(chalk.red(`  - ${error}`)));
+        process.exit(1);
+    }
+
+    console.log(chalk.green('\nConfiguration is valid ✅'));
 }
 
 async function resetConfig(configManager, spinner) {
@@ -321,6 +580,19 @@ async function resetConfig(configManager, spinner) {
     }
 }
 
+const FILE_LABELS = {
+    user: 'User file',
+    project: 'Project file'
+};
+
+function formatSource(sources, settingPath) {
+    const origin = sources[settingPath] || { source: 'default' };
+    if (origin.variable) {
+        return chalk.gray(` (env ${origin.variable})`);
+    }
+    return chalk.gray(` (${origin.source})`);
+}
+
 function formatBoolean(value) {
     return value ? chalk.greenBright('Yes ✅') : chalk.redBright('No ❌');
 }
\ No newline at end of file
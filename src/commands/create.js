@@ -1,10 +1,17 @@
 import chalk from 'chalk';
 import inquirer from 'inquirer';
 import ora from 'ora';
-import { ConfigManager } from '../core/Config/ConfigManager.js';
+import path from 'path';
+import { ConfigManager } from '../core/config/ConfigManager.js';
+import { ResourceNaming } from '../core/config/ResourceNaming.js';
 import { ModuleGenerator } from '../core/generator/ModuleGenerator.js';
-import { ProjectScanner } from '../core/Scanner/ProjectScanner.js';
+import { ProjectScanner } from '../core/scanner/ProjectScanner.js';
 import { ResourceGenerator } from '../core/generator/ResourceGenerator.js';
+import { VirtualFileSystem } from '../core/filesystem/VirtualFileSystem.js';
+import { GenerationJournal } from '../core/journal/GenerationJournal.js';
+import { FieldSpecParser, FIELD_TYPES, RELATION_TYPES } from '../core/generator/FieldSpecParser.js';
+import { PathResolver } from '../utils/PathResolver.js';
+import { ProjectSelector } from '../utils/ProjectSelector.js';
 
 export function addCreateCommand(program) {
     program
@@ -13,11 +20,23 @@ export function addCreateCommand(program) {
         .argument('<type>', 'Type of creation (module or resource)')
         .argument('[name]', 'Name of the module/resource')
         .option('-m, --module <module>', 'Module name (for resources)')
+        .option('--project <name>', 'Project to generate into in a multi-module build')
         .option('-t, --type <type>', 'Resource type (entity, service, dto, etc.)')
-        .option('-f, --full', 'Generate complete sequence (entity, repository, service, controller)')
+        .option('-f, --full', 'Generate complete sequence (entity, DTOs, mapper, repository, service, controller)')
+        .option('--no-dtos', 'With --full, skip DTOs and the mapper and expose the entity directly')
+        .option('-l, --layer <layer>', 'Layer where DTOs are placed (application or infrastructure)')
+        .option('-d, --defaults', 'Generate the default entity-based DTOs without prompting')
+        .option('-c, --constants <constants>', 'Comma-separated enum constants (CONSTANT or CONSTANT:code)')
+        .option('--converter', 'Generate a JPA AttributeConverter that stores the enum by code')
+        .option('--fields <fields>', 'Entity fields, e.g. "name:String!,price:BigDecimal,sku:String(64)unique"')
+        .option('--dry-run', 'Preview the files that would be created or changed without writing anything')
+        .option('--force', 'Overwrite existing files without asking')
+        .option('--skip-existing', 'Keep existing files without asking')
         .option('-v, --verbose', 'Show detailed creation information')
         .action(async (type, name, options) => {
-            if (type.toLowerCase() === 'module') {
+            if (options.force && options.skipExisting) {
+                console.log(chalk.red('Use either --force or --skip-existing, not both'));
+            } else if (type.toLowerCase() === 'module') {
                 await handleModuleCreation(name, options);
             } else if (type.toLowerCase() === 'resource') {
                 if (options.full) {
@@ -33,17 +52,17 @@ export function addCreateCommand(program) {
 
 async function handleFullResourceCreation(providedName, options) {
     const spinner = ora();
+    const fileSystem = new VirtualFileSystem();
+    let currentStep = null;
     try {
         // Get project structure
+        const project = await new ProjectSelector().select(options.project);
+        const config = await loadConfig(project, options);
         spinner.start('Analyzing project structure...');
-        const scanner = new ProjectScanner(options.verbose);
+        const scanner = new ProjectScanner(project?.path, config);
         const projectStructure = await scanner.scan();
         spinner.succeed('Project structure analyzed');
 
-        // Get configuration
-        const configManager = new ConfigManager();
-        const config = await configManager.getConfig();
-
         // Get module first if not provided
         const module = await getModule(options.module, projectStructure);
 
@@ -67,62 +86,107 @@ async function handleFullResourceCreation(providedName, options) {
             entityName = inputName;
         }
 
-        const resourceGenerator = new ResourceGenerator(projectStructure, config, options.verbose);
-
-        // Generate Entity
-        spinner.start('Creating entity...');
-        await resourceGenerator.generate({
-            type: 'entity',
-            name: entityName,
-            module,
-            options: {}
-        });
-        spinner.succeed(chalk.green(`${entityName} entity created successfully!`));
+        currentStep = 'prerequisites';
+        checkFullPrerequisites(entityName, module, projectStructure);
+        currentStep = null;
+
+        const fields = await getEntityFields(options, projectStructure, entityName);
+
+        const resourceGenerator = new ResourceGenerator(projectStructure, config, options.verbose, fileSystem);
+        const conflicts = { skipped: [], alongside: [] };
+        const names = new ResourceNaming(config).names(entityName);
+
+        // DTOs and the mapper come before the service so it is generated in DTO mode
+        const dtoTypes = [...new Set(['Create', 'Response', ...(config.dtoPreferences?.types || [])])];
+        const steps = [
+            {
+                label: 'entity',
+                success: `${entityName} entity`,
+                type: 'entity',
+                name: entityName,
+                options: { fields }
+            },
+            ...(options.dtos ? [
+                {
+                    label: 'DTOs',
+                    success: `${entityName} DTOs`,
+                    type: 'dto',
+                    name: { name: entityName, isEntityBased: true, types: dtoTypes },
+                    options: { layer: options.layer }
+                },
+                {
+                    label: 'mapper',
+                    success: names.mapper,
+                    type: 'mapper',
+                    name: entityName,
+                    options: {}
+                }
+            ] : []),
+            {
+                label: 'repository',
+                success: names.repository,
+                type: 'repository',
+                name: entityName,
+                options: {}
+            },
+            {
+                label: 'service',
+                success: names.service,
+                type: 'service',
+                name: { name: entityName, isEntityBased: true },
+                options: {}
+            },
+            {
+                label: 'controller',
+                success: names.controller,
+                type: 'controller',
+                name: { name: entityName, isEntityBased: true },
+                options: {}
+            }
+        ];
+
+        // Every step is staged first, later steps read the outputs of earlier ones from the staging area
+        const createdFiles = [];
+        for (const step of steps) {
+            currentStep = step.label;
+            spinner.start(`Preparing ${step.label}...`);
+            const result = await resourceGenerator.generate({
+                type: step.type,
+                name: step.name,
+                module,
+                options: step.options
+            });
+            createdFiles.push(...result.createdFiles);
+            spinner.succeed(chalk.green(`${step.success} ${options.dryRun ? 'would be created' : 'ready'}`));
+        }
 
-        // Generate Repository
-        spinner.start('Creating repository...');
-        await resourceGenerator.generate({
-            type: 'repository',
-            name: entityName,
-            module,
-            options: {}
-        });
-        spinner.succeed(chalk.green(`${entityName}Repository created successfully!`));
-
-        // Generate Service
-        spinner.start('Creating service...');
-        await resourceGenerator.generate({
-            type: 'service',
-            name: { name: entityName, isEntityBased: true },
-            module,
-            options: {}
-        });
-        spinner.succeed(chalk.green(`${entityName}Service created successfully!`));
-
-        // Generate Controller
-        spinner.start('Creating controller...');
-        await resourceGenerator.generate({
-            type: 'controller',
-            name: { name: entityName, isEntityBased: true },
-            module,
-            options: {}
-        });
-        spinner.succeed(chalk.green(`${entityName}Controller created successfully!`));
+        if (options.dryRun) {
+            printDryRun(fileSystem);
+            return;
+        }
 
-        console.log(chalk.green('\n✨ Full resource generation completed successfully!'));
+        currentStep = 'write';
+        spinner.start('Writing files...');
+        const written = await writeChanges(fileSystem, options, conflicts, spinner);
+        reportCreated(spinner, `Full resource '${entityName}'`, written, conflicts, options);
+        printConflictSummary(conflicts);
+        if (written) {
+            await recordGeneration(fileSystem, project, options);
+        }
 
         if (options.verbose) {
             console.log(chalk.blue('\nGenerated resources:'));
-            console.log(chalk.gray(`- ${entityName}.java`));
-            console.log(chalk.gray(`- ${entityName}Repository.java`));
-            console.log(chalk.gray(`- ${entityName}Service.java`));
-            console.log(chalk.gray(`- ${entityName}ServiceImpl.java`));
-            console.log(chalk.gray(`- ${entityName}Controller.java`));
+            createdFiles.forEach(file => {
+                console.log(chalk.gray(`- ${file}`));
+            });
         }
 
     } catch (error) {
-        spinner.fail(chalk.red('Error in full resource generation'));
+        spinner.fail(chalk.red(describeFullFailure(currentStep)));
         console.error(chalk.red('\nError details:', error.message));
+        if (currentStep !== null) {
+            console.error(chalk.yellow('\nNo files were written, the project is unchanged.'));
+        }
         if (options.verbose) {
             console.error(chalk.gray('\nStack trace:', error.stack));
         }
@@ -130,40 +194,98 @@ async function handleFullResourceCreation(providedName, options) {
     }
 }
 
+function checkFullPrerequisites(entityName, module, projectStructure) {
+    if (!/^[A-Z][a-zA-Z0-9 ]*$/.test(entityName)) {
+        throw new Error('Name must start with uppercase letter and contain only letters, numbers and spaces');
+    }
+
+    // JPA entity names must be unique across the persistence unit
+    const clash = projectStructure.modules
+        .filter(m => m.name !== module)
+        .find(m => Object.values(m.layers).some(layer =>
+            layer?.resources?.some(resource => resource.type === 'entity' && resource.name === entityName)));
+    if (clash) {
+        throw new Error(`An entity named ${entityName} already exists in module '${clash.name}'`);
+    }
+}
+
+function describeFullFailure(step) {
+    if (step === null) {
+        return 'Error in full resource generation';
+    }
+    if (step === 'prerequisites') {
+        return 'Prerequisite check failed';
+    }
+    if (step === 'write') {
+        return 'Writing the generated files failed';
+    }
+    return `Full resource generation failed at the ${step} step`;
+}
+
+// Command line flags are the last configuration layer
+function getConfigOverrides(options) {
+    return options.layer ? { dtoPreferences: { defaultLocation: options.layer } } : {};
+}
+
+// Read before scanning, the layout decides where the scanner looks for resources
+async function loadConfig(project, options) {
+    const configManager = new ConfigManager(null, {
+        startDir: project?.path || process.cwd(),
+        overrides: getConfigOverrides(options)
+    });
+    const config = await configManager.getConfig();
+
+    // Template overrides are found next to the configuration naming them, whatever the current directory
+    config.templates = { ...config.templates, directory: await configManager.resolveSettingPath('templates.directory') };
+    return config;
+}
+
 async function handleResourceCreation(providedName, options) {
     const spinner = ora();
+    const fileSystem = new VirtualFileSystem();
     try {
         // Get project structure
+        const project = await new ProjectSelector().select(options.project);
+        const config = await loadConfig(project, options);
         spinner.start('Analyzing project structure...');
-        const scanner = new ProjectScanner(options.verbose);
+        const scanner = new ProjectScanner(project?.path, config);
         const projectStructure = await scanner.scan();
         spinner.succeed('Project structure analyzed');
 
-        // Get configuration
-        const configManager = new ConfigManager();
-        const config = await configManager.getConfig();
-
         // Get resource details
-        const resourceDetails = await getResourceDetails(providedName, projectStructure, options);
+        const resourceDetails = await getResourceDetails(providedName, projectStructure, options, config);
 
         // Generate resource
         spinner.start(`Creating ${resourceDetails.type} resource...`);
-        const resourceGenerator = new ResourceGenerator(projectStructure, config, options.verbose);
+        const resourceGenerator = new ResourceGenerator(projectStructure, config, options.verbose, fileSystem);
         const result = await resourceGenerator.generate(resourceDetails);
+        const conflicts = { skipped: [], alongside: [] };
+        const written = await writeChanges(fileSystem, options, conflicts, spinner);
 
         // Custom success messages based on type
-        if (resourceDetails.type === 'repository') {
-            spinner.succeed(chalk.green(`${resourceDetails.name}Repository created successfully!`));
-        } else if (resourceDetails.type === 'service') {
-            const serviceName = typeof resourceDetails.name === 'object' ? resourceDetails.name.name : resourceDetails.name;
-            const suffix = serviceName.endsWith('Service') ? '' : 'Service';
-            spinner.succeed(chalk.green(`${serviceName}${suffix} created successfully!`));
-        } else if (resourceDetails.type === 'controller') {
-            const controllerName = typeof resourceDetails.name === 'object' ? resourceDetails.name.name : resourceDetails.name;
-            const suffix = controllerName.endsWith('Controller') ? '' : 'Controller';
-            spinner.succeed(chalk.green(`${controllerName}${suffix} created successfully!`));
+        const naming = new ResourceNaming(config);
+        let subject;
+        if (resourceDetails.type === 'repository' || resourceDetails.type === 'mapper') {
+            subject = naming.className(resourceDetails.type, resourceDetails.name);
+        } else if (resourceDetails.type === 'service' || resourceDetails.type === 'controller') {
+            const name = typeof resourceDetails.name === 'object' ? resourceDetails.name.name : resourceDetails.name;
+            subject = naming.className(resourceDetails.type, naming.baseName(resourceDetails.type, name));
+        } else if (resourceDetails.type === 'dto') {
+            const count = result.createdFiles.length;
+            subject = `${count} DTO${count === 1 ? '' : 's'} for '${resourceDetails.name.name}'`;
         } else {
-            spinner.succeed(chalk.green(`Resource '${resourceDetails.name}' created successfully!`));
+            subject = `Resource '${resourceDetails.name}'`;
+        }
+        reportCreated(spinner, subject, written, conflicts, options);
+
+        if (options.dryRun) {
+            printDryRun(fileSystem);
+            return;
+        }
+
+        printConflictSummary(conflicts);
+        if (written) {
+            await recordGeneration(fileSystem, project, options);
         }
 
         if (options.verbose) {
@@ -183,7 +305,7 @@ async function handleResourceCreation(providedName, options) {
     }
 }
 
-async function getResourceDetails(providedName, projectStructure, options) {
+async function getResourceDetails(providedName, projectStructure, options, config) {
     // Get module
     const module = await getModule(options.module, projectStructure);
 
@@ -191,18 +313,196 @@ async function getResourceDetails(providedName, projectStructure, options) {
     const type = await getResourceType(options.type);
 
     // Get resource name
-    const name = await getResourceName(providedName, type, projectStructure, module);
+    const name = await getResourceName(providedName, type, projectStructure, module, options, config);
+
+    const resourceOptions = {
+        idType: options.idtype,
+        layer: options.layer
+    };
+
+    if (type === 'enum') {
+        Object.assign(resourceOptions, await getEnumOptions(options));
+    }
+
+    if (type === 'entity') {
+        resourceOptions.fields = await getEntityFields(options, projectStructure, name);
+    }
 
     return {
         name,
         type,
         module,
-        options: {
-            idType: options.idtype
-        }
+        options: resourceOptions
     };
 }
 
+async function getEntityFields(options, projectStructure, entityName) {
+    const parser = new FieldSpecParser();
+
+    if (options.fields) {
+        // Validate early so errors surface before anything is written
+        parser.parse(options.fields);
+        return options.fields;
+    }
+
+    if (options.defaults) {
+        return '';
+    }
+
+    const { addFields } = await inquirer.prompt({
+        type: 'confirm',
+        name: 'addFields',
+        message: 'Would you like to add fields to the entity?',
+        default: true
+    });
+
+    const fields = [];
+    let addAnother = addFields;
+
+    while (addAnother) {
+        const field = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'name',
+                message: 'Field name:',
+                validate: (input) => {
+                    if (!/^[a-z][a-zA-Z0-9]*$/.test(input)) {
+                        return 'Field name must be camelCase';
+                    }
+                    if (input === 'id') {
+                        return 'The id field is generated automatically';
+                    }
+                    if (fields.some(existing => existing.name === input)) {
+                        return `Field '${input}' already exists`;
+                    }
+                    return true;
+                }
+            },
+            {
+                type: 'list',
+                name: 'type',
+                message: 'Field type:',
+                choices: [
+                    ...Object.keys(FIELD_TYPES),
+                    new inquirer.Separator('Relationships'),
+                    ...RELATION_TYPES
+                ]
+            },
+            {
+                type: 'list',
+                name: 'target',
+                message: 'Target entity:',
+                when: (answers) => RELATION_TYPES.includes(answers.type),
+                choices: () => [...new Set([entityName, ...getAllEntities(projectStructure)])]
+            },
+            {
+                type: 'input',
+                name: 'mappedBy',
+                message: 'Mapped by (field on the target entity, leave empty for the owning side):',
+                when: (answers) => ['OneToMany', 'OneToOne', 'ManyToMany'].includes(answers.type),
+                validate: (input) => !input || /^[a-z][a-zA-Z0-9]*$/.test(input) || 'Mapped by must be a camelCase field name'
+            },
+            {
+                type: 'confirm',
+                name: 'inverse',
+                message: 'Add the inverse side to the target entity?',
+                when: (answers) => RELATION_TYPES.includes(answers.type) &&
+                    (answers.type !== 'OneToMany' || Boolean(answers.mappedBy)),
+                default: false
+            },
+            {
+                type: 'number',
+                name: 'length',
+                message: 'Column length (leave empty for default):',
+                when: (answers) => answers.type === 'String',
+                filter: (input) => (Number.isInteger(input) && input > 0 ? input : null)
+            },
+            {
+                type: 'confirm',
+                name: 'required',
+                message: 'Is this field required?',
+                when: (answers) => !RELATION_TYPES.includes(answers.type) ||
+                    (['ManyToOne', 'OneToOne'].includes(answers.type) && !answers.mappedBy),
+                default: false
+            },
+            {
+                type: 'confirm',
+                name: 'unique',
+                message: 'Should this field be unique?',
+                when: (answers) => !RELATION_TYPES.includes(answers.type),
+                default: false
+            }
+        ]);
+
+        if (RELATION_TYPES.includes(field.type)) {
+            fields.push({
+                name: field.name,
+                relation: field.type,
+                target: field.target,
+                mappedBy: field.mappedBy || null,
+                inverse: field.inverse || null,
+                nullable: !field.required
+            });
+        } else {
+            fields.push({
+                name: field.name,
+                type: field.type,
+                nullable: !field.required,
+                unique: field.unique,
+                length: field.length ?? null,
+                precision: null,
+                scale: null
+            });
+        }
+
+        const answer = await inquirer.prompt({
+            type: 'confirm',
+            name: 'addAnother',
+            message: 'Add another field?',
+            default: true
+        });
+        addAnother = answer.addAnother;
+    }
+
+    return fields.map(field => parser.toSpec(field)).join(',');
+}
+
+async function getEnumOptions(options) {
+    let constants = options.constants;
+    if (!constants) {
+        const { inputConstants } = await inquirer.prompt({
+            type: 'input',
+            name: 'inputConstants',
+            message: 'Enter the enum constants (comma-separated, CONSTANT or CONSTANT:code):',
+            validate: (input) => {
+                const entries = input.split(',').map(entry => entry.trim()).filter(Boolean);
+                if (entries.length === 0) {
+                    return 'Enter at least one constant';
+                }
+                const invalid = entries.find(entry => !/^[A-Z][A-Z0-9_]*(:.+)?$/.test(entry));
+                if (invalid) {
+                    return `Invalid constant '${invalid}'. Use UPPER_SNAKE_CASE`;
+                }
+                return true;
+            }
+        });
+        constants = inputConstants;
+    }
+
+    let converter = options.converter;
+    if (converter === undefined) {
+        const answer = await inquirer.prompt({
+            type: 'confirm',
+            name: 'converter',
+            message: 'Generate a JPA AttributeConverter to store the enum by code?',
+            default: false
+        });
+        converter = answer.converter;
+    }
+
+    return { constants, converter };
+}
+
 async function getModule(providedModule, projectStructure) {
     if (providedModule) {
         const moduleExists = projectStructure.modules.some(m => m.name === providedModule);
@@ -247,13 +547,17 @@ async function getResourceType(providedType) {
     return type;
 }
 
-async function getResourceName(providedName, type, projectStructure, module) {
-    if (type === 'repository') {
-        return await selectEntityForRepository(providedName, projectStructure, module);
+async function getResourceName(providedName, type, projectStructure, module, options = {}, config = {}) {
+    if (type === 'repository' || type === 'mapper') {
+        return await selectEntityForResource(providedName, type, projectStructure, module);
+    }
+
+    if (type === 'dto') {
+        return await getDtoDetails(providedName, projectStructure, module, options, config);
     }
 
     if (type === 'service' || type === 'controller') {
-        return await getServiceOrControllerName(providedName, type, projectStructure, module);
+        return await getServiceOrControllerName(providedName, type, projectStructure, module, config);
     }
 
     // Original name logic for other types
@@ -278,7 +582,7 @@ async function getResourceName(providedName, type, projectStructure, module) {
     return name;
 }
 
-async function getServiceOrControllerName(providedName, type, projectStructure, module) {
+async function getServiceOrControllerName(providedName, type, projectStructure, module, config) {
     // If name provided via command line, assume it's standalone
     if (providedName) {
         return {
@@ -325,11 +629,9 @@ async function getServiceOrControllerName(providedName, type, projectStructure,
                 if (!/^[A-Z][a-zA-Z0-9]*$/.test(input)) {
                     return `${type} name must start with uppercase letter and contain only letters and numbers`;
                 }
-                if (type === 'service' && !input.endsWith('Service')) {
-                    return 'Service name must end with "Service"';
-                }
-                if (type === 'controller' && !input.endsWith('Controller')) {
-                    return 'Controller name must end with "Controller"';
+                const suffix = new ResourceNaming(config).suffixes[type];
+                if (!input.endsWith(suffix)) {
+                    return `${type.charAt(0).toUpperCase()}${type.slice(1)} name must end with "${suffix}"`;
                 }
                 return true;
             }
@@ -342,7 +644,95 @@ async function getServiceOrControllerName(providedName, type, projectStructure,
     }
 }
 
-async function selectEntityForRepository(providedName, projectStructure, moduleName) {
+async function getDtoDetails(providedName, projectStructure, module, options, config) {
+    // A name without --defaults means a free-form DTO
+    if (providedName && !options.defaults) {
+        return {
+            name: providedName,
+            isEntityBased: false
+        };
+    }
+
+    let isEntityBased = true;
+    if (!options.defaults) {
+        const answer = await inquirer.prompt({
+            type: 'confirm',
+            name: 'isEntityBased',
+            message: 'Do you want to create the default DTOs for an entity?',
+            default: true
+        });
+        isEntityBased = answer.isEntityBased;
+    }
+
+    if (!isEntityBased) {
+        const { dtoName } = await inquirer.prompt({
+            type: 'input',
+            name: 'dtoName',
+            message: 'Enter the DTO name:',
+            validate: (input) => {
+                if (!input.trim()) {
+                    return 'DTO name cannot be empty';
+                }
+                if (!/^[A-Z][a-zA-Z0-9]*$/.test(input)) {
+                    return 'DTO name must start with uppercase letter and contain only letters and numbers';
+                }
+                return true;
+            }
+        });
+
+        return {
+            name: dtoName,
+            isEntityBased: false
+        };
+    }
+
+    let entityName = providedName;
+    if (entityName) {
+        const entityExists = await validateEntityExists(entityName, projectStructure, module);
+        if (!entityExists) {
+            throw new Error(`Entity '${entityName}' not found in module '${module}'`);
+        }
+    } else {
+        const entities = await getAvailableEntities(projectStructure, module);
+
+        if (entities.length === 0) {
+            throw new Error(`No entities found in module '${module}'. Create an entity first or create a non-entity-based DTO.`);
+        }
+
+        const { selectedEntity } = await inquirer.prompt({
+            type: 'list',
+            name: 'selectedEntity',
+            message: 'Select the entity for the DTOs:',
+            choices: entities
+        });
+        entityName = selectedEntity;
+    }
+
+    // With --defaults the configured DTO types are used as they are
+    if (options.defaults) {
+        return {
+            name: entityName,
+            isEntityBased: true
+        };
+    }
+
+    const { types } = await inquirer.prompt({
+        type: 'checkbox',
+        name: 'types',
+        message: 'Select DTO types to generate:',
+        choices: ['Create', 'Response', 'Update'],
+        default: config.dtoPreferences?.types || ['Create'],
+        validate: (input) => input.length > 0 || 'Select at least one DTO type'
+    });
+
+    return {
+        name: entityName,
+        isEntityBased: true,
+        types
+    };
+}
+
+async function selectEntityForResource(providedName, type, projectStructure, moduleName) {
     // If name is provided via command line, validate it exists
     if (providedName) {
         const entityExists = await validateEntityExists(providedName, projectStructure, moduleName);
@@ -362,7 +752,7 @@ async function selectEntityForRepository(providedName, projectStructure, moduleN
     const { selectedEntity } = await inquirer.prompt({
         type: 'list',
         name: 'selectedEntity',
-        message: 'Select the entity for the repository:',
+        message: `Select the entity for the ${type}:`,
         choices: entities
     });
 
@@ -373,11 +763,17 @@ async function getAvailableEntities(projectStructure, moduleName) {
     const selectedModule = projectStructure.modules.find(m => m.name === moduleName);
     if (!selectedModule) return [];
 
-    // Filter for entities in the domain layer
-    const domainLayer = selectedModule.layers.domain;
-    if (!domainLayer || !domainLayer.resources) return [];
+    return getModuleEntities(selectedModule);
+}
+
+function getAllEntities(projectStructure) {
+    return projectStructure.modules.flatMap(getModuleEntities);
+}
 
-    return domainLayer.resources
+// Entities may sit in any layer, wherever the layout puts them
+function getModuleEntities(module) {
+    return Object.values(module.layers)
+        .flatMap(layer => layer?.resources || [])
         .filter(resource => resource.type === 'entity')
         .map(entity => entity.name);
 }
@@ -389,9 +785,12 @@ async function validateEntityExists(entityName, projectStructure, moduleName) {
 
 async function handleModuleCreation(providedName, options) {
     const spinner = ora();
+    const fileSystem = new VirtualFileSystem();
     try {
         // Get project structure first
-        const scanner = new ProjectScanner(options.verbose);
+        const project = await new ProjectSelector().select(options.project);
+        const config = await loadConfig(project, options);
+        const scanner = new ProjectScanner(project?.path, config);
         const projectStructure = await scanner.scan();
 
 
@@ -403,16 +802,21 @@ async function handleModuleCreation(providedName, options) {
         // Get module name if not provided
         const moduleName = await getModuleName(providedName, projectStructure);
 
-        // Load configuration
-        const configManager = new ConfigManager();
-        const config = await configManager.getConfig();
-
         // Create module
         spinner.start('Creating module structure...');
-        const moduleGenerator = new ModuleGenerator(projectStructure, config);
+        const moduleGenerator = new ModuleGenerator(projectStructure, config, fileSystem);
         const result = await moduleGenerator.generate(moduleName, options.verbose);
 
-        spinner.succeed(chalk.green(`Module '${moduleName}' created successfully!`));
+        const written = !options.dryRun && fileSystem.hasChanges() ? await fileSystem.commit() : null;
+        reportCreated(spinner, `Module '${moduleName}'`, written, { skipped: [] }, options);
+
+        if (options.dryRun) {
+            printDryRun(fileSystem);
+            return;
+        }
+        if (written) {
+            await recordGeneration(fileSystem, project, options);
+        }
 
         if (options.verbose) {
             console.log('\nModule structure created:');
@@ -431,6 +835,120 @@ async function handleModuleCreation(providedName, options) {
     }
 }
 
+// Based on the changes actually written, files the user chose to skip are not reported as created
+function reportCreated(spinner, subject, written, conflicts, options) {
+    const skipped = conflicts.skipped.length;
+    const skippedFiles = `${skipped} existing file${skipped === 1 ? '' : 's'}`;
+
+    if (options.dryRun) {
+        spinner.succeed(chalk.green(`${subject} would be created`));
+    } else if (!written) {
+        if (skipped > 0) {
+            spinner.warn(chalk.yellow(`${subject} not created, ${skippedFiles} skipped`));
+        } else {
+            spinner.info(`No changes, ${subject} already up to date`);
+        }
+    } else if (skipped > 0) {
+        spinner.succeed(chalk.green(`${subject} created, ${skippedFiles} skipped`));
+    } else {
+        spinner.succeed(chalk.green(`${subject} created successfully!`));
+    }
+}
+
+async function writeChanges(fileSystem, options, conflicts, spinner) {
+    if (options.dryRun) {
+        return null;
+    }
+
+    for (const conflict of fileSystem.getConflicts()) {
+        const action = await resolveConflict(fileSystem, conflict, options, spinner);
+        if (action === 'skip') {
+            fileSystem.skip(conflict.path);
+            conflicts.skipped.push(conflict.path);
+        } else if (action === 'new') {
+            conflicts.alongside.push(await fileSystem.writeAlongside(conflict.path));
+        }
+    }
+
+    // Nothing to commit or record when every file was skipped or is already up to date
+    if (!fileSystem.hasChanges()) {
+        return null;
+    }
+    return await fileSystem.commit();
+}
+
+async function resolveConflict(fileSystem, conflict, options, spinner) {
+    if (options.force) {
+        return 'overwrite';
+    }
+    if (options.skipExisting) {
+        return 'skip';
+    }
+
+    const relativePath = path.relative(process.cwd(), conflict.path);
+    if (!process.stdin.isTTY) {
+        throw new Error(`${relativePath} already exists. Use --force to overwrite it or --skip-existing to keep it`);
+    }
+
+    spinner.stop();
+    while (true) {
+        const { action } = await inquirer.prompt({
+            type: 'list',
+            name: 'action',
+            message: `${relativePath} already exists and would change. What would you like to do?`,
+            choices: [
+                { name: 'Skip (keep the existing file)', value: 'skip' },
+                { name: 'Overwrite', value: 'overwrite' },
+                { name: `Write ${path.basename(conflict.path)}.new alongside`, value: 'new' },
+                { name: 'Show diff', value: 'diff' }
+            ]
+        });
+
+        if (action !== 'diff') {
+            return action;
+        }
+        console.log(fileSystem.renderDiff(conflict));
+    }
+}
+
+function printConflictSummary(conflicts) {
+    if (conflicts.skipped.length > 0) {
+        console.log(chalk.yellow(`\nSkipped ${conflicts.skipped.length} existing file${conflicts.skipped.length === 1 ? '' : 's'}:`));
+        conflicts.skipped.forEach(file => {
+            console.log(chalk.gray(`- ${path.relative(process.cwd(), file)}`));
+        });
+    }
+
+    if (conflicts.alongside.length > 0) {
+        console.log(chalk.blue('\nNew versions written alongside existing files:'));
+        conflicts.alongside.forEach(file => {
+            console.log(chalk.gray(`- ${path.relative(process.cwd(), file)}`));
+        });
+    }
+}
+
+async function recordGeneration(fileSystem, project, options) {
+    if (options.dryRun) {
+        return;
+    }
+
+    try {
+        // One journal per build, whichever directory or subproject the command runs in
+        const journal = new GenerationJournal(new PathResolver(project?.path).getBuildRootPath());
+        const entry = await journal.record(`sboot ${process.argv.slice(2).join(' ')}`, fileSystem.committed);
+        if (entry && options.verbose) {
+            console.log(chalk.gray(`\nRecorded as generation ${entry.id}, revert it with "sboot undo ${entry.id}"`));
+        }
+    } catch (error) {
+        console.warn(chalk.yellow(`Could not record the generation journal: ${error.message}`));
+    }
+}
+
+function printDryRun(fileSystem) {
+    console.log(chalk.blue('\nDry run, no files were written. Planned changes:\n'));
+    console.log(fileSystem.render());
+}
+
 async function getModuleName(providedName) {
     if (providedName) {
         // Validate provided name
@@ -0,0 +1,41 @@
+import chalk from 'chalk';
+import { GenerationJournal } from '../core/journal/GenerationJournal.js';
+import { PathResolver } from '../utils/PathResolver.js';
+
+export function addHistoryCommand(program) {
+    program
+        .command('history')
+        .description('List the generations recorded in the project journal')
+        .option('-v, --verbose', 'Show the files touched by every generation')
+        .action(async (options) => {
+            try {
+                const journal = new GenerationJournal(new PathResolver().getBuildRootPath());
+                const entries = await journal.getEntries();
+
+                if (entries.length === 0) {
+                    console.log(chalk.yellow('\nNo generations recorded yet'));
+                    return;
+                }
+
+                console.log(chalk.bold('\nGeneration history:'));
+                [...entries].reverse().forEach(entry => {
+                    const date = new Date(entry.timestamp).toLocaleString();
+                    const status = entry.undone ? chalk.gray(' (undone)') : '';
+                    const count = entry.files.length;
+
+                    console.log(`\n${chalk.green(`#${entry.id}`)} ${chalk.gray(date)}${status}`);
+                    console.log(`  ${entry.command}`);
+                    console.log(chalk.gray(`  ${count} file${count === 1 ? '' : 's'}, ${entry.directories.length} director${entry.directories.length === 1 ? 'y' : 'ies'}`));
+
+                    if (options.verbose) {
+                        entry.files.forEach(file => {
+                            console.log(chalk.gray(`  - ${file.action.padEnd(9)} ${file.path}`));
+                        });
+                    }
+                });
+            } catch (error) {
+                console.error(chalk.red('\nError:', error.message));
+                process.exit(1);
+            }
+        });
+}
@@ -0,0 +1,161 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import ora from 'ora';
+import fs from 'fs-extra';
+import path from 'path';
+import { VirtualFileSystem } from '../core/filesystem/VirtualFileSystem.js';
+import { ARCHITECTURE_PRESETS } from '../core/config/ArchitecturePresets.js';
+import {
+    ProjectGenerator,
+    BUILD_TOOLS,
+    JAVA_VERSIONS,
+    STARTERS,
+    DEFAULT_STARTERS
+} from '../core/generator/ProjectGenerator.js';
+
+const PROJECT_MARKERS = ['pom.xml', 'build.gradle', 'build.gradle.kts', 'src'];
+
+export function addInitCommand(program) {
+    program
+        .command('init')
+        .description('Scaffold a new Spring Boot project, without network access')
+        .argument('[directory]', 'Directory for the project (defaults to the artifact name)')
+        .option('-g, --group <group>', 'Group id, e.g. com.example')
+        .option('-a, --artifact <artifact>', 'Artifact id, e.g. order-service')
+        .option('-p, --package <package>', 'Base package (defaults to group plus artifact)')
+        .option('-b, --build <tool>', `Build tool (${Object.keys(BUILD_TOOLS).join(', ')})`)
+        .option('-j, --java <version>', `Java version (${JAVA_VERSIONS.join(', ')})`)
+        .option('-s, --starters <starters>', `Comma-separated starters (${Object.keys(STARTERS).join(', ')})`)
+        .option('--preset <name>', `Architecture preset (${Object.keys(ARCHITECTURE_PRESETS).join(', ')})`)
+        .option('-y, --yes', 'Use the defaults for every option not given on the command line')
+        .action(async (directory, options) => {
+            const spinner = ora();
+            try {
+                const answers = await getProjectOptions(options);
+                const targetDir = path.resolve(directory || answers.artifact);
+
+                await checkTargetDirectory(targetDir);
+
+                spinner.start('Generating project...');
+                const fileSystem = new VirtualFileSystem();
+                const result = await new ProjectGenerator(fileSystem).generate(answers, targetDir);
+                await fileSystem.commit();
+                spinner.succeed(chalk.green(`Project '${answers.artifact}' created successfully!`));
+
+                console.log(chalk.blue('\nFiles created:'));
+                result.createdFiles.forEach(file => {
+                    console.log(chalk.gray(`- ${path.relative(process.cwd(), file)}`));
+                });
+
+                if (!answers.starters.includes('lombok')) {
+                    console.log(chalk.yellow('\nGenerated entities use Lombok, add it to the build before creating resources'));
+                }
+
+                const relativeDir = path.relative(process.cwd(), targetDir);
+                console.log(chalk.blue('\nNext steps:'));
+                if (relativeDir) {
+                    console.log(chalk.gray(`  cd ${relativeDir}`));
+                }
+                console.log(chalk.gray('  sboot create module <name>'));
+            } catch (error) {
+                spinner.stop();
+                console.error(chalk.red('\nError:', error.message));
+                process.exit(1);
+            }
+        });
+}
+
+async function getProjectOptions(options) {
+    const defaults = {
+        group: options.group || 'com.example',
+        artifact: options.artifact || 'demo',
+        buildTool: options.build || 'maven',
+        javaVersion: options.java || JAVA_VERSIONS[JAVA_VERSIONS.length - 1],
+        starters: options.starters ? options.starters.split(',').map(starter => starter.trim()).filter(Boolean) : DEFAULT_STARTERS,
+        architecture: options.preset || 'clean'
+    };
+    const packageFor = (group, artifact) => options.package || `${group}.${artifact.replace(/[^a-z0-9]/g, '')}`;
+
+    // Without a terminal there is nobody to answer, so the defaults apply like with --yes
+    if (options.yes || !process.stdin.isTTY) {
+        return { ...defaults, basePackage: packageFor(defaults.group, defaults.artifact) };
+    }
+
+    const answers = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'group',
+            message: 'Group:',
+            default: defaults.group,
+            when: !options.group,
+            validate: input => /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)*$/.test(input) || 'Use a lowercase dotted name, e.g. com.example'
+        },
+        {
+            type: 'input',
+            name: 'artifact',
+            message: 'Artifact:',
+            default: defaults.artifact,
+            when: !options.artifact,
+            validate: input => /^[a-z][a-z0-9]*([-_.][a-z0-9]+)*$/.test(input) || 'Use lowercase letters, digits and dashes, e.g. order-service'
+        },
+        {
+            type: 'input',
+            name: 'basePackage',
+            message: 'Base package:',
+            default: current => packageFor(current.group || defaults.group, current.artifact || defaults.artifact),
+            when: !options.package,
+            validate: input => /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)*$/.test(input) || 'Use a lowercase dotted name, e.g. com.example.orders'
+        },
+        {
+            type: 'list',
+            name: 'buildTool',
+            message: 'Build tool:',
+            choices: Object.entries(BUILD_TOOLS).map(([value, name]) => ({ name, value })),
+            default: defaults.buildTool,
+            when: !options.build
+        },
+        {
+            type: 'list',
+            name: 'javaVersion',
+            message: 'Java version:',
+            choices: JAVA_VERSIONS,
+            default: defaults.javaVersion,
+            when: !options.java
+        },
+        {
+            type: 'checkbox',
+            name: 'starters',
+            message: 'Starters:',
+            choices: Object.entries(STARTERS).map(([value, starter]) => ({
+                name: starter.name,
+                value,
+                checked: defaults.starters.includes(value)
+            })),
+            when: !options.starters
+        },
+        {
+            type: 'list',
+            name: 'architecture',
+            message: 'Architecture:',
+            choices: Object.entries(ARCHITECTURE_PRESETS).map(([value, preset]) => ({ name: `${value} - ${preset.description}`, value })),
+            default: defaults.architecture,
+            when: !options.preset
+        }
+    ]);
+
+    const group = answers.group || defaults.group;
+    const artifact = answers.artifact || defaults.artifact;
+    return {
+        ...defaults,
+        ...answers,
+        basePackage: answers.basePackage || packageFor(group, artifact)
+    };
+}
+
+async function checkTargetDirectory(targetDir) {
+    for (const marker of PROJECT_MARKERS) {
+        if (await fs.pathExists(path.join(targetDir, marker))) {
+            throw new Error(`${targetDir} already contains a project (found ${marker})`);
+        }
+    }
+}
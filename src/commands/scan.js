@@ -1,62 +1,73 @@
-import { ProjectScanner } from '../core/Scanner/ProjectScanner.js';
+import { ProjectScanner } from '../core/scanner/ProjectScanner.js';
 import ora from 'ora';
-import chalk from 'chalk';
+import chalk, { Chalk } from 'chalk';
 import fs from 'fs-extra';
+import { ProjectSelector } from '../utils/ProjectSelector.js';
+import { ConfigManager } from '../core/config/ConfigManager.js';
+import { GRAPH_FORMATS, formatGraph } from '../core/scanner/DependencyGraph.js';
+import { SCAN_FORMATS, formatFromPath, formatScan } from '../core/scanner/ScanReport.js';
+import { Logger } from '../utils/Logger.js';
 
 export function addScanCommand(program) {
     program
         .command('scan')
         .description('Scan the current Spring Boot project structure')
         .option('-v, --verbose', 'Show detailed scanning information')
-        .option('-o, --output <path>', 'Output the scan result to a file')
+        .option('-f, --format <format>', `Print the scan result in this format (${SCAN_FORMATS.join(', ')})`)
+        .option('-o, --output <path>', 'Write the scan result to this file, in --format or the format matching its extension (JSON otherwise)')
+        .option('--project <name>', 'Project to scan in a multi-module build')
+        .option('-g, --graph [format]', `Print the dependencies between modules (${GRAPH_FORMATS.join(', ')})`)
         .action(async (options) => {
-            const spinner = ora('Scanning project structure...\n').start();
+            const spinner = ora();
             
             try {
-                const scanner = new ProjectScanner();
+                const graphFormat = options.graph === true ? 'mermaid' : options.graph;
+                if (graphFormat && !GRAPH_FORMATS.includes(graphFormat)) {
+                    throw new Error(`Invalid graph format '${graphFormat}'. Valid formats are: ${GRAPH_FORMATS.join(', ')}`);
+                }
+
+                const format = options.format || (options.output ? formatFromPath(options.output) : null);
+                if (format && !SCAN_FORMATS.includes(format)) {
+                    throw new Error(`Invalid format '${format}'. Valid formats are: ${SCAN_FORMATS.join(', ')}`);
+                }
+                if (graphFormat && format && !options.output) {
+                    throw new Error('--graph and --format both print to the console, write the scan result to a file with --output');
+                }
+                const printsReport = Boolean(graphFormat) || (Boolean(format) && !options.output);
+
+                const project = await new ProjectSelector().select(options.project);
+                const config = await new ConfigManager(null, { startDir: project?.path || process.cwd() }).getConfig();
+                spinner.start('Scanning project structure...\n');
+                // Reports on standard output must not be mixed with log messages
+                const scanner = new ProjectScanner(project?.path, config, new Logger({ quiet: printsReport }));
                 const structure = await scanner.scan(options.verbose);
                 
                 spinner.succeed('Project structure scanned successfully!');
 
-                if (options.verbose) {
-                    console.log('\nProject Structure:');
-                    console.log(chalk.blue('Base Package:'), structure.basePackage);
-                    
-                    console.log('\nModules:');
-                    structure.modules.forEach(module => {
-                        console.log(chalk.green(`\n📦 ${module.name}`));
-                        
-                        Object.entries(module.layers).forEach(([layerName, layer]) => {
-                            if (layer) {
-                                console.log(chalk.yellow(`  └─ ${layerName}`));
-                                layer.directories.forEach(dir => {
-                                    console.log(`     └─ ${dir}`);
-                                });
-                                
-                                if (layer.resources && layer.resources.length > 0) {
-                                    console.log(chalk.cyan('     └─ Resources:'));
-                                    layer.resources.forEach(resource => {
-                                        let typeInfo = resource.type;
-                                        if (resource.type === 'mapper' && resource.mapperType) {
-                                            typeInfo += ` (${resource.mapperType})`;
-                                        }
-                                        
-                                        const implementationInfo = resource.implementation ? 
-                                            chalk.gray(` (implemented by ${resource.implementation})`) : '';
-                                            
-                                        console.log(`        └─ ${resource.name} (${typeInfo})${implementationInfo}`);
-                                    });
-                                }
-                            }
-                        });
-                    });
+                if (graphFormat) {
+                    process.stdout.write(formatGraph(structure, graphFormat));
+                }
+
+                if (options.verbose && !printsReport) {
+                    console.log();
+                    process.stdout.write(formatScan(structure, 'tree'));
                 }
 
-                if (options.output) {
-                    await fs.writeJson(`${options.output}.json`, structure, { spaces: 2 });
-                    console.log(chalk.blue(`\nStructure saved to ${options.output}.json`));
+                if (format) {
+                    const report = formatScan(structure, format, options.output ? new Chalk({ level: 0 }) : chalk);
+                    if (options.output) {
+                        await fs.outputFile(options.output, report);
+                        console.log(chalk.blue(`\nStructure saved to ${options.output}`));
+                    } else {
+                        process.stdout.write(report);
+                    }
                 }
 
+                // Modules depending on each other cannot be split apart, so cycles are always reported
+                structure.cycles.forEach(cycle => {
+                    console.error(chalk.yellow(`⚠ Dependency cycle between modules: ${cycle.join(', ')}`));
+                });
+
             } catch (error) {
                 spinner.fail(chalk.red('Error scanning project structure'));
                 console.error(chalk.red('\nError details:', error.message));
@@ -0,0 +1,169 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { ConfigManager } from '../core/config/ConfigManager.js';
+import { TemplateEngine, PARTIALS_DIRECTORY } from '../core/generator/TemplateEngine.js';
+import { TEMPLATE_SAMPLE_DATA } from '../core/generator/TemplateSamples.js';
+import { resolveLanguage } from '../core/parser/SourceParser.js';
+import { PathResolver } from '../utils/PathResolver.js';
+
+const DEFAULT_TEMPLATES_DIRECTORY = '.sboot/templates';
+
+export function addTemplateCommand(program) {
+    const template = program
+        .command('template')
+        .description('List, eject and validate code generation templates');
+
+    template
+        .command('list')
+        .description('List built-in templates, the variables they receive and whether they are overridden')
+        .action(async () => {
+            await runTemplateAction(listTemplates);
+        });
+
+    template
+        .command('eject')
+        .description('Copy a built-in template into the project for editing')
+        .argument('<name>', 'Template name, as shown by "sboot template list"')
+        .option('--force', 'Replace an existing override')
+        .action(async (name, options) => {
+            await runTemplateAction(configManager => ejectTemplate(configManager, name, options));
+        });
+
+    template
+        .command('validate')
+        .description('Compile and render every template override with sample data')
+        .action(async () => {
+            await runTemplateAction(validateTemplates);
+        });
+}
+
+async function runTemplateAction(action) {
+    try {
+        await action(new ConfigManager());
+    } catch (error) {
+        console.error(chalk.red('\nError:', error.message));
+        process.exit(1);
+    }
+}
+
+// Kotlin projects use their own set of templates, the directory is the resolved templates.directory
+function createEngine(config, directory) {
+    const language = resolveLanguage(config.language, new PathResolver().detectLanguage());
+    return new TemplateEngine({ ...config.templates, directory }, language, config.architecture);
+}
+
+async function listTemplates(configManager) {
+    const config = await configManager.getConfig();
+    const engine = createEngine(config, await configManager.resolveSettingPath('templates.directory'));
+
+    const title = engine.language === 'kotlin' ? 'Kotlin templates' : 'Templates';
+    const overridesDir = engine.overridesDir && path.relative(process.cwd(), engine.overridesDir);
+    console.log(chalk.bold(`\n${title}${overridesDir ? ` (overrides from ${overridesDir})` : ''}:`));
+
+    for (const name of await engine.listTemplates()) {
+        const content = await fs.readFile(await engine.builtInTemplatePath(name), 'utf-8');
+        const variables = engine.getTemplateVariables(content);
+        const status = await engine.isOverridden(name) ? chalk.yellow(' (overridden)') : '';
+
+        console.log(`\n${chalk.green(name)}${status}`);
+        console.log(chalk.gray(`  ${variables.join(', ')}`));
+    }
+}
+
+async function ejectTemplate(configManager, name, options) {
+    const config = await configManager.getConfig();
+    let directory = await configManager.resolveSettingPath('templates.directory');
+    const engine = createEngine(config, directory);
+
+    const templates = await engine.listTemplates();
+    if (!templates.includes(name)) {
+        throw new Error(`Unknown template '${name}'. Available templates: ${templates.join(', ')}`);
+    }
+
+    // Ejecting without an overrides directory sets one up next to the project file so the copy is picked up right away
+    if (!directory) {
+        const projectConfig = await configManager.getProjectConfig();
+        await configManager.saveConfig({
+            ...projectConfig,
+            templates: { ...projectConfig.templates, directory: DEFAULT_TEMPLATES_DIRECTORY }
+        });
+        directory = path.resolve(path.dirname(configManager.configFile), DEFAULT_TEMPLATES_DIRECTORY);
+        console.log(chalk.blue(`Set templates.directory to ${DEFAULT_TEMPLATES_DIRECTORY} in ${configManager.configFile}`));
+    }
+
+    const targetPath = path.join(directory, engine.language === 'kotlin' ? 'kotlin' : '', `${name}.hbs`);
+    const displayPath = path.relative(process.cwd(), targetPath);
+    if (await fs.pathExists(targetPath) && !options.force) {
+        throw new Error(`${displayPath} already exists. Use --force to replace it with the built-in template`);
+    }
+
+    await fs.ensureDir(path.dirname(targetPath));
+    await fs.copy(await engine.builtInTemplatePath(name), targetPath);
+    console.log(chalk.green(`✓ Template '${name}' ejected to ${displayPath}`));
+}
+
+async function validateTemplates(configManager) {
+    const config = await configManager.getConfig();
+    const directory = await configManager.resolveSettingPath('templates.directory');
+
+    if (!directory) {
+        console.log(chalk.yellow('\nNo templates.directory configured, only built-in templates are used'));
+        return;
+    }
+
+    const engine = createEngine(config, directory);
+    await engine.loadCustomizations();
+
+    const builtIn = await engine.listTemplates();
+    const overrides = (await fs.pathExists(engine.overridesDir) ? await fs.readdir(engine.overridesDir) : [])
+        .filter(file => file.endsWith('.hbs'))
+        .map(file => path.basename(file, '.hbs'))
+        .sort();
+
+    const partialsDir = path.join(directory, PARTIALS_DIRECTORY);
+    const partials = await fs.pathExists(partialsDir)
+        ? (await fs.readdir(partialsDir)).filter(file => file.endsWith('.hbs'))
+        : [];
+
+    let failures = 0;
+
+    for (const partial of partials) {
+        try {
+            engine.handlebars.precompile(await fs.readFile(path.join(partialsDir, partial), 'utf-8'));
+            console.log(chalk.green(`✓ ${PARTIALS_DIRECTORY}/${partial}`));
+        } catch (error) {
+            failures++;
+            console.log(chalk.red(`✖ ${PARTIALS_DIRECTORY}/${partial}`));
+            console.log(chalk.gray(`  ${error.message.split('\n').join('\n  ')}`));
+        }
+    }
+
+    for (const name of overrides) {
+        if (!builtIn.includes(name)) {
+            console.log(chalk.yellow(`⚠ ${name}.hbs does not match any built-in template and is never used`));
+            continue;
+        }
+
+        try {
+            // Strict mode turns misspelled variables into errors instead of empty output
+            const content = await fs.readFile(path.join(engine.overridesDir, `${name}.hbs`), 'utf-8');
+            engine.handlebars.compile(content, { strict: true })({ ...engine.presetData, ...TEMPLATE_SAMPLE_DATA });
+            console.log(chalk.green(`✓ ${name}.hbs`));
+        } catch (error) {
+            failures++;
+            console.log(chalk.red(`✖ ${name}.hbs`));
+            console.log(chalk.gray(`  ${error.message.split('\n').join('\n  ')}`));
+        }
+    }
+
+    if (overrides.length === 0 && partials.length === 0) {
+        console.log(chalk.yellow(`\nNo template overrides found in ${path.relative(process.cwd(), engine.overridesDir) || '.'}`));
+        return;
+    }
+
+    if (failures > 0) {
+        throw new Error(`${failures} template${failures === 1 ? '' : 's'} failed validation`);
+    }
+    console.log(chalk.green('\nAll template overrides are valid'));
+}
@@ -0,0 +1,51 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import ora from 'ora';
+import { GenerationJournal } from '../core/journal/GenerationJournal.js';
+import { PathResolver } from '../utils/PathResolver.js';
+
+export function addUndoCommand(program) {
+    program
+        .command('undo')
+        .description('Revert the last generation, or the one with the given id')
+        .argument('[id]', 'Generation id from "sboot history"')
+        .option('--force', 'Revert even if generated files were edited afterwards')
+        .option('-y, --yes', 'Do not ask for confirmation')
+        .action(async (id, options) => {
+            const spinner = ora();
+            try {
+                const journal = new GenerationJournal(new PathResolver().getBuildRootPath());
+                const entry = await journal.findEntry(id);
+
+                console.log(chalk.blue(`\nGeneration ${entry.id}: ${entry.command}`));
+                entry.files.forEach(file => {
+                    const action = file.previousContent === null ? 'delete' : 'restore';
+                    console.log(chalk.gray(`  ${action.padEnd(7)}  ${file.path}`));
+                });
+
+                if (!options.yes && process.stdin.isTTY) {
+                    const { confirm } = await inquirer.prompt({
+                        type: 'confirm',
+                        name: 'confirm',
+                        message: 'Revert these changes?',
+                        default: false
+                    });
+                    if (!confirm) {
+                        console.log(chalk.yellow('Undo cancelled'));
+                        return;
+                    }
+                }
+
+                spinner.start('Reverting generation...');
+                const result = await journal.undo(entry, { force: options.force });
+                spinner.succeed(chalk.green(`Generation ${entry.id} reverted successfully!`));
+
+                console.log(chalk.gray(`\n${result.removedFiles.length} file(s) deleted, ` +
+                    `${result.restoredFiles.length} restored, ${result.removedDirectories.length} empty director${result.removedDirectories.length === 1 ? 'y' : 'ies'} removed`));
+            } catch (error) {
+                spinner.stop();
+                console.error(chalk.red('\nError:', error.message));
+                process.exit(1);
+            }
+        });
+}
@@ -0,0 +1,221 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { ModuleLayout, MODULE_ROOT } from '../config/ModuleLayout.js';
+import { ImportResolver } from '../scanner/ImportResolver.js';
+import { SourceParser } from '../parser/SourceParser.js';
+import { CHECK_RULES, DEFAULT_CHECK_RULES } from './CheckRules.js';
+
+// A line or block comment naming rules, or none for every rule, suppresses them for the whole file:
+// // sboot-check-ignore controllerRepositoryAccess
+const IGNORE_COMMENT = /^\s*(?:\/\/|\/\*+|\*)\s*sboot-check-ignore\b:?(.*)$/;
+
+// Runs the architecture rules over every source file of the scanned modules
+export class ArchitectureChecker {
+    constructor(projectStructure, config = {}) {
+        this.projectStructure = projectStructure;
+        this.layout = new ModuleLayout(config);
+        this.ruleSettings = { ...DEFAULT_CHECK_RULES, ...config.check?.rules };
+        this.suppressions = config.check?.suppressions || [];
+        this.resolver = new ImportResolver(projectStructure.basePackage, projectStructure.modules.map(module => module.name));
+        this.sourceParser = new SourceParser();
+    }
+
+    // Only the given rules run when a list is passed, whatever their configured severity
+    async check(ruleIds = null) {
+        const rules = this.activeRules(ruleIds);
+        const context = this.buildContext();
+        const files = await this.collectFiles();
+        const violations = [];
+        let suppressed = 0;
+
+        for (const file of files) {
+            const fileViolations = [];
+            for (const rule of rules) {
+                for (const finding of CHECK_RULES[rule.id].check(file, context, rule.options)) {
+                    if (this.isSuppressed(rule.id, file)) {
+                        suppressed++;
+                        continue;
+                    }
+                    fileViolations.push({
+                        rule: rule.id,
+                        severity: rule.severity,
+                        module: file.module,
+                        file: file.path,
+                        line: finding.line,
+                        message: finding.message
+                    });
+                }
+            }
+            violations.push(...fileViolations.sort((a, b) => (a.line ?? 0) - (b.line ?? 0)));
+        }
+
+        return {
+            project: this.projectStructure.project,
+            basePackage: this.projectStructure.basePackage,
+            modules: this.projectStructure.modules.map(module => module.name),
+            files: files.length,
+            rules,
+            violations,
+            suppressed
+        };
+    }
+
+    activeRules(ruleIds) {
+        const unknown = (ruleIds || []).filter(id => !CHECK_RULES[id]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown rule(s): ${unknown.join(', ')}. Available rules: ${Object.keys(CHECK_RULES).join(', ')}`);
+        }
+
+        return Object.keys(CHECK_RULES)
+            .filter(id => ruleIds ? ruleIds.includes(id) : this.ruleSettings[id].severity !== 'off')
+            .map(id => {
+                const { severity, ...options } = { ...DEFAULT_CHECK_RULES[id], ...this.ruleSettings[id] };
+                return {
+                    id,
+                    description: CHECK_RULES[id].description,
+                    severity: severity === 'off' ? 'error' : severity,
+                    options
+                };
+            });
+    }
+
+    // What the rules need to know about the whole project
+    buildContext() {
+        const domainLayers = this.layersOf(['entity', 'enum']);
+        const infrastructureLayers = this.layersOf(['controller', this.layout.has('repositoryAdapter') ? 'repositoryAdapter' : 'repository'])
+            .filter(layer => !domainLayers.includes(layer));
+
+        const repositories = new Set();
+        const implementations = new Map();
+        for (const resource of this.allResources()) {
+            if (resource.type === 'repository') {
+                repositories.add(resource.name);
+            }
+            if (resource.implementation) {
+                if (resource.type === 'repository') {
+                    repositories.add(resource.implementation);
+                }
+                if (resource.implementation !== resource.name) {
+                    implementations.set(resource.implementation, { interfaceName: resource.name, type: resource.type });
+                }
+            }
+        }
+
+        return { domainLayers, infrastructureLayers, repositories, implementations };
+    }
+
+    // The top-level folders holding these resource types, the module package itself has no layer to check
+    layersOf(types) {
+        return [...new Set(types.map(type => this.layout.segments(type)[0]).filter(Boolean))];
+    }
+
+    allResources() {
+        return this.projectStructure.modules.flatMap(module =>
+            Object.values(module.layers).flatMap(layer => layer?.resources || []));
+    }
+
+    async collectFiles() {
+        const resourceTypes = new Map();
+        for (const resource of this.allResources()) {
+            resourceTypes.set(resource.name, resource.type);
+            if (resource.implementation) {
+                resourceTypes.set(resource.implementation, resource.type);
+            }
+        }
+
+        const files = [];
+        for (const module of this.projectStructure.modules) {
+            for (const filePath of await this.sourceParser.listSourceFiles(module.path)) {
+                files.push(await this.analyzeFile(filePath, module, resourceTypes));
+            }
+        }
+        return files;
+    }
+
+    async analyzeFile(filePath, module, resourceTypes) {
+        const content = await fs.readFile(filePath, 'utf-8');
+        const lines = content.split('\n');
+        const parsed = this.sourceParser.parse(content, filePath);
+        const relativeDir = path.relative(module.path, path.dirname(filePath));
+        const className = parsed.type?.name || path.basename(filePath, path.extname(filePath));
+        const relativePath = path.relative(this.projectStructure.projectPath, filePath).split(path.sep).join('/');
+
+        return {
+            path: relativePath,
+            module: module.name,
+            layer: relativeDir ? relativeDir.split(path.sep)[0] : MODULE_ROOT,
+            className,
+            resourceType: resourceTypes.get(className) || null,
+            imports: parsed.imports.map(imported => ({
+                name: imported.name,
+                line: findLine(lines, line => line.replace(/`/g, '').startsWith(`import ${imported.name}`)) ||
+                    findLine(lines, line => line.replace(/`/g, '').includes(imported.name)),
+                target: this.resolver.resolve(imported.name)
+            })),
+            fields: (parsed.type?.fields || [])
+                .filter(field => field.type)
+                .map(field => ({
+                    name: field.name,
+                    type: baseType(field.type),
+                    typeNames: field.type.match(/[A-Z]\w*/g) || [],
+                    line: findLine(lines, line => new RegExp(`\\b${field.name}\\b`).test(line) && line.includes(baseType(field.type)))
+                })),
+            ignoredRules: findIgnoredRules(lines, relativePath)
+        };
+    }
+
+    isSuppressed(ruleId, file) {
+        if (file.ignoredRules === '*' || file.ignoredRules.includes(ruleId)) {
+            return true;
+        }
+        return this.suppressions.some(suppression =>
+            (suppression.rule === '*' || suppression.rule === ruleId) &&
+            (!suppression.path || matchesPath(suppression.path, file.path)));
+    }
+}
+
+// The declared class without package, generics, array brackets or Kotlin's nullable marker
+function baseType(type) {
+    return type.replace(/<.*$/, '').replace(/[?[\]\s]/g, '').split('.').pop();
+}
+
+function findLine(lines, predicate) {
+    const index = lines.findIndex(line => predicate(line.trim()));
+    return index === -1 ? null : index + 1;
+}
+
+// Anything after `--` is the reason, a misspelled rule fails rather than silencing the file
+function findIgnoredRules(lines, filePath) {
+    const rules = [];
+    for (const [index, line] of lines.entries()) {
+        const match = line.match(IGNORE_COMMENT);
+        if (!match) {
+            continue;
+        }
+
+        const names = match[1].replace(/\*\/.*$/, '').split('--')[0].split(/[\s,]+/).filter(Boolean);
+        if (names.length === 0) {
+            return '*';
+        }
+        const unknown = names.filter(name => !CHECK_RULES[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown rule(s) in sboot-check-ignore at ${filePath}:${index + 1}: ${unknown.join(', ')}. Available rules: ${Object.keys(CHECK_RULES).join(', ')}`);
+        }
+        rules.push(...names);
+    }
+    return rules;
+}
+
+// A path without wildcards matches the file itself or every file below that folder
+function matchesPath(pattern, filePath) {
+    const normalized = pattern.replace(/^\.\//, '').replace(/\/$/, '');
+    if (!normalized.includes('*')) {
+        return filePath === normalized || filePath.startsWith(`${normalized}/`);
+    }
+
+    const expression = normalized
+        .split('**')
+        .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+        .join('.*');
+    return new RegExp(`^${expression}$`).test(filePath);
+}
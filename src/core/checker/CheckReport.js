@@ -0,0 +1,77 @@
+// Machine readable reports of a `sboot check` result, the text report is printed by the command
+
+export const REPORT_FORMATS = ['text', 'json', 'junit'];
+
+export function summarize(result) {
+    return {
+        files: result.files,
+        errors: result.violations.filter(violation => violation.severity === 'error').length,
+        warnings: result.violations.filter(violation => violation.severity === 'warning').length,
+        suppressed: result.suppressed
+    };
+}
+
+export function formatJson(result) {
+    const report = {
+        project: result.project,
+        basePackage: result.basePackage,
+        summary: summarize(result),
+        rules: result.rules.map(({ id, severity, description }) => ({ id, severity, description })),
+        violations: result.violations
+    };
+    return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+// One test suite per rule and one test case per module, failing when the module breaks the rule.
+// JUnit has no warnings, so they go to the test case output without failing it.
+export function formatJunit(result) {
+    const suites = result.rules.map(rule => {
+        const violations = result.violations.filter(violation => violation.rule === rule.id);
+        const failing = rule.severity === 'error' ? new Set(violations.map(violation => violation.module)) : new Set();
+        const cases = result.modules.map(module => formatTestCase(rule, module,
+            violations.filter(violation => violation.module === module)));
+
+        return {
+            failures: failing.size,
+            xml: `  <testsuite name="${rule.id}" tests="${result.modules.length}" failures="${failing.size}">\n${cases.join('\n')}\n  </testsuite>`
+        };
+    });
+
+    const tests = result.rules.length * result.modules.length;
+    const failures = suites.reduce((total, suite) => total + suite.failures, 0);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="sboot check" tests="${tests}" failures="${failures}">`,
+        ...suites.map(suite => suite.xml),
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+function formatTestCase(rule, module, violations) {
+    const attributes = `classname="sboot.check.${rule.id}" name="${escapeXml(module)}"`;
+    if (violations.length === 0) {
+        return `    <testcase ${attributes}/>`;
+    }
+
+    const lines = escapeXml(violations.map(violation => `${location(violation)}: ${violation.message}`).join('\n'));
+    if (rule.severity === 'warning') {
+        return `    <testcase ${attributes}>\n      <system-out>${lines}</system-out>\n    </testcase>`;
+    }
+
+    const message = `${violations.length} problem${violations.length === 1 ? '' : 's'}: ${rule.description}`;
+    return `    <testcase ${attributes}>\n      <failure type="${rule.id}" message="${escapeXml(message)}">${lines}</failure>\n    </testcase>`;
+}
+
+export function location(violation) {
+    return violation.line ? `${violation.file}:${violation.line}` : violation.file;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
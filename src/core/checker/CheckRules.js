@@ -0,0 +1,122 @@
+// Architecture rules of `sboot check`. Each rule looks at one source file at a time and returns its findings.
+// Layer lists set to null follow the module layout, so the rules fit every architecture preset.
+export const DEFAULT_CHECK_RULES = {
+    domainIsolation: {
+        severity: 'error',
+        layers: null,
+        forbiddenLayers: null,
+        forbiddenPackages: ['org.springframework.web', 'org.springframework.http']
+    },
+    moduleBoundaries: {
+        severity: 'error',
+        layers: null
+    },
+    controllerRepositoryAccess: {
+        severity: 'error'
+    },
+    implementationInjection: {
+        severity: 'error',
+        types: ['service', 'mapper']
+    }
+};
+
+export const SEVERITIES = ['error', 'warning', 'off'];
+
+export const CHECK_RULES = {
+    domainIsolation: {
+        description: 'The domain layer depends neither on infrastructure layers nor on Spring web',
+        check(file, context, options) {
+            const layers = options.layers ?? context.domainLayers;
+            if (!layers.includes(file.layer)) {
+                return [];
+            }
+
+            const forbiddenLayers = (options.forbiddenLayers ?? context.infrastructureLayers)
+                .filter(layer => !layers.includes(layer));
+            const findings = [];
+
+            for (const imported of file.imports) {
+                if (imported.target && forbiddenLayers.includes(imported.target.layer)) {
+                    findings.push({
+                        line: imported.line,
+                        message: `Domain code imports ${imported.name} from the ${imported.target.layer} layer`
+                    });
+                } else if (options.forbiddenPackages.some(prefix => isInPackage(imported.name, prefix))) {
+                    findings.push({
+                        line: imported.line,
+                        message: `Domain code imports ${imported.name}, a Spring web class`
+                    });
+                }
+            }
+
+            return findings;
+        }
+    },
+    moduleBoundaries: {
+        description: 'A module does not reach into the infrastructure layers of another module',
+        check(file, context, options) {
+            const layers = options.layers ?? context.infrastructureLayers;
+
+            return file.imports
+                .filter(imported => imported.target &&
+                    imported.target.module !== file.module &&
+                    layers.includes(imported.target.layer))
+                .map(imported => ({
+                    line: imported.line,
+                    message: `Imports ${imported.name} from the ${imported.target.layer} layer of module '${imported.target.module}'`
+                }));
+        }
+    },
+    controllerRepositoryAccess: {
+        description: 'Controllers go through a service instead of calling repositories',
+        check(file, context) {
+            if (file.resourceType !== 'controller') {
+                return [];
+            }
+
+            return uniqueReferences(file)
+                .filter(reference => context.repositories.has(reference.name))
+                .map(reference => ({
+                    line: reference.line,
+                    message: `Controller uses the repository ${reference.name} directly, call a service instead`
+                }));
+        }
+    },
+    implementationInjection: {
+        description: 'Services and mappers are injected by their interface, not by their implementation class',
+        check(file, context, options) {
+            return file.fields
+                .map(field => ({ ...field, implemented: context.implementations.get(field.type) }))
+                .filter(field => field.implemented && options.types.includes(field.implemented.type))
+                .map(field => ({
+                    line: field.line,
+                    message: `Injects ${field.type} into '${field.name}', depend on its interface ${field.implemented.interfaceName} instead`
+                }));
+        }
+    }
+};
+
+function isInPackage(name, packageName) {
+    return name === packageName || name.startsWith(`${packageName}.`);
+}
+
+// Classes a file refers to through its imports or the types of its fields, each reported once
+function uniqueReferences(file) {
+    const references = new Map();
+
+    for (const imported of file.imports) {
+        const name = imported.target?.className;
+        if (name && !references.has(name)) {
+            references.set(name, { name, line: imported.line });
+        }
+    }
+    for (const field of file.fields) {
+        for (const name of field.typeNames) {
+            if (!references.has(name)) {
+                references.set(name, { name, line: field.line });
+            }
+        }
+    }
+
+    return [...references.values()];
+}
@@ -0,0 +1,107 @@
+import { DEFAULT_LAYOUT } from './ModuleLayout.js';
+import { DEFAULT_NAMING } from './ResourceNaming.js';
+
+const enabled = { enabled: true, folders: [] };
+const disabled = { enabled: false, folders: [] };
+
+// Each preset sets the layers, the resource layout and the class name suffixes of one architecture style.
+// Implementation classes are public unless the preset sets implementationVisibility to 'package'.
+export const ARCHITECTURE_PRESETS = {
+    clean: {
+        description: 'Application, domain and infrastructure layers (the default)',
+        layers: {
+            application: enabled,
+            domain: enabled,
+            infrastructure: enabled
+        },
+        layout: DEFAULT_LAYOUT,
+        naming: DEFAULT_NAMING
+    },
+    hexagonal: {
+        description: 'Ports and adapters: use cases and repository ports in application, web and persistence adapters outside',
+        layers: {
+            application: enabled,
+            domain: enabled,
+            adapter: enabled,
+            infrastructure: disabled
+        },
+        layout: {
+            entity: 'domain/model',
+            enum: 'domain/model',
+            enumConverter: 'adapter/out/persistence/converters',
+            repository: 'application/port/out',
+            repositoryAdapter: 'adapter/out/persistence',
+            service: 'application/port/in',
+            serviceImpl: 'application/service',
+            mapper: 'application/mapper',
+            mapperImpl: 'application/mapper',
+            controller: 'adapter/in/web',
+            dto: 'application/dto'
+        },
+        naming: {
+            ...DEFAULT_NAMING,
+            service: 'UseCase',
+            serviceImpl: 'Service'
+        }
+    },
+    layered: {
+        description: 'One package per technical layer: controller, service, repository, model, dto and mapper',
+        layers: {
+            application: disabled,
+            domain: disabled,
+            infrastructure: disabled,
+            controller: enabled,
+            service: enabled,
+            repository: enabled,
+            model: enabled,
+            dto: enabled,
+            mapper: enabled
+        },
+        layout: {
+            entity: 'model',
+            enum: 'model',
+            enumConverter: 'model/converters',
+            repository: 'repository',
+            service: 'service',
+            serviceImpl: 'service/impl',
+            mapper: 'mapper',
+            mapperImpl: 'mapper/impl',
+            controller: 'controller',
+            dto: 'dto'
+        },
+        naming: {
+            ...DEFAULT_NAMING,
+            dto: 'Dto'
+        }
+    },
+    'package-by-feature': {
+        description: 'Every class of a feature in the module package, implementations kept package-private',
+        layers: {
+            application: disabled,
+            domain: disabled,
+            infrastructure: disabled
+        },
+        layout: Object.fromEntries(Object.keys(DEFAULT_LAYOUT).map(type => [type, ''])),
+        naming: DEFAULT_NAMING,
+        implementationVisibility: 'package'
+    }
+};
+
+// The preset replaces the layers, layout and naming of the configuration, everything else is kept
+export function applyPreset(config, name) {
+    const preset = ARCHITECTURE_PRESETS[name];
+    if (!preset) {
+        throw new Error(`Unknown preset '${name}'. Available presets: ${Object.keys(ARCHITECTURE_PRESETS).join(', ')}`);
+    }
+
+    return {
+        ...config,
+        architecture: name,
+        moduleStructure: {
+            ...config.moduleStructure,
+            layers: structuredClone(preset.layers),
+            layout: { ...preset.layout }
+        },
+        naming: { ...preset.naming }
+    };
+}
@@ -1,37 +1,80 @@
 import fs from 'fs-extra';
+import os from 'os';
 import path from 'path';
+import { PathResolver } from '../../utils/PathResolver.js';
+import { ConfigValidator, CONFIG_VERSION } from './ConfigValidator.js';
+import { migrateConfig } from './ConfigMigrations.js';
+import { DEFAULT_LAYOUT } from './ModuleLayout.js';
+import { DEFAULT_NAMING } from './ResourceNaming.js';
+import { DEFAULT_CHECK_RULES } from '../checker/CheckRules.js';
+
+export const CONFIG_FILE_NAME = 'screan-boot.config.json';
 
 export class ConfigManager {
-    constructor(configPath) {
-        this.configFile = configPath || 'screan-boot.config.json';
+    // An explicit path replaces the project file lookup, overrides hold the values given as command line flags
+    constructor(configPath, { startDir = process.cwd(), overrides = {}, env = process.env } = {}) {
+        this.startDir = path.resolve(startDir);
+        this.overrides = overrides;
+        this.env = env;
+        this.userConfigFile = path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'sboot', 'config.json');
+        this.configFile = configPath ? path.resolve(configPath) : this.findProjectConfig();
+        this.validator = new ConfigValidator();
     }
 
-    async ensureConfigFile() {
-        const exists = await fs.pathExists(this.configFile);
-        if (!exists) {
-            const defaultConfig = await this.getDefaultConfig();
-            await this.saveConfig(defaultConfig);
+    // Walks up from the start directory to the build root, a new file goes next to the build root
+    findProjectConfig() {
+        const stopDir = this.findBuildRoot();
+
+        let currentPath = this.startDir;
+        while (true) {
+            const candidate = path.join(currentPath, CONFIG_FILE_NAME);
+            if (fs.existsSync(candidate)) {
+                return candidate;
+            }
+            if (currentPath === stopDir || currentPath === path.parse(currentPath).root) {
+                break;
+            }
+            currentPath = path.dirname(currentPath);
         }
+
+        return path.join(stopDir, CONFIG_FILE_NAME);
+    }
+
+    findBuildRoot() {
+        const pathResolver = new PathResolver();
+        let currentPath = this.startDir;
+        while (currentPath !== path.parse(currentPath).root) {
+            if (pathResolver.hasBuildFile(currentPath)) {
+                return new PathResolver(currentPath).getBuildRootPath();
+            }
+            currentPath = path.dirname(currentPath);
+        }
+        return this.startDir;
     }
 
     async getDefaultConfig() {
         return {
+            configVersion: CONFIG_VERSION,
+            language: 'auto',
+            architecture: 'clean',
             moduleStructure: {
                 layers: {
                     application: {
                         enabled: true,
-                        folders: ['mappers', 'services']
+                        folders: []
                     },
                     domain: {
                         enabled: true,
-                        folders: ['entities', 'enums']
+                        folders: []
                     },
                     infrastructure: {
                         enabled: true,
-                        folders: ['controllers', 'repositories', 'dtos']
+                        folders: []
                     }
-                }
+                },
+                layout: { ...DEFAULT_LAYOUT }
             },
+            naming: { ...DEFAULT_NAMING },
             entityPreferences: {
                 defaultIdType: 'SERIAL'
             },
@@ -50,30 +93,222 @@ export class ConfigManager {
             },
             servicePreferences: {
                 useTransactional: true,
-                constructorInjection: true
+                constructorInjection: true,
+                operations: ['getAll', 'getById', 'create', 'update', 'patch', 'delete']
+            },
+            templates: {
+                directory: null
+            },
+            check: {
+                rules: structuredClone(DEFAULT_CHECK_RULES),
+                suppressions: []
             }
         };
     }
 
     async getConfig() {
-        try {
-            if (await this.hasConfig()) {
-                return await fs.readJson(this.configFile);
+        const { config } = await this.resolveConfig();
+        return config;
+    }
+
+    // Returns the merged configuration plus the layer every value came from, keyed by dotted path
+    async resolveConfig() {
+        const { config, sources, files } = await this.mergeLayers();
+
+        const errors = this.validator.validate(config, sources);
+        if (errors.length > 0) {
+            throw new Error(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}\nRun 'sboot config --validate' to check it again after fixing`);
+        }
+
+        return { config, sources, files };
+    }
+
+    // Same as resolveConfig, but reports the problems instead of throwing
+    async validateConfig() {
+        const { config, sources, files } = await this.mergeLayers();
+        return { errors: this.validator.validate(config, sources), files };
+    }
+
+    // Later layers win: defaults, user file, project file, environment, command line flags.
+    // Replacements stand in for the content of a file layer, to check a change before writing it
+    async mergeLayers({ replacements = {}, overrides = true } = {}) {
+        const defaults = await this.getDefaultConfig();
+        const files = [];
+        const layers = [{ origin: { source: 'default' }, values: defaults }];
+
+        for (const source of ['user', 'project']) {
+            const file = this.getConfigFile(source);
+            const stored = source in replacements ? replacements[source] : await this.readConfigFile(file);
+            if (stored) {
+                const { config, from, applied } = migrateConfig(stored, file);
+                files.push({ source, file, configVersion: from, migrations: applied });
+                layers.push({ origin: { source, file }, values: config });
+            }
+        }
+
+        if (overrides) {
+            for (const { variable, values } of this.readEnvironment(defaults)) {
+                layers.push({ origin: { source: 'env', variable }, values });
             }
+            layers.push({ origin: { source: 'cli' }, values: this.overrides });
+        }
 
-            // If no config exists, create with defaults
-            const defaultConfig = await this.getDefaultConfig();
-            await this.saveConfig(defaultConfig);
-            return defaultConfig;
+        const config = {};
+        const sources = {};
+        for (const layer of layers) {
+            mergeInto(config, layer.values, sources, layer.origin);
+        }
+
+        return { config, sources, files };
+    }
+
+    getConfigFile(scope = 'project') {
+        return scope === 'user' ? this.userConfigFile : this.configFile;
+    }
+
+    // Only the project file, migrated, for commands that update it without copying other layers into it
+    async getProjectConfig() {
+        return await this.readStoredConfig('project');
+    }
+
+    async readStoredConfig(scope) {
+        const file = this.getConfigFile(scope);
+        const stored = await this.readConfigFile(file);
+        return stored ? migrateConfig(stored, file).config : {};
+    }
+
+    // Applies a change to the project or user file, nothing is written if the result is invalid
+    async updateConfigFile(scope, update) {
+        const file = this.getConfigFile(scope);
+        const values = update(await this.readStoredConfig(scope));
+
+        const { config, sources } = await this.mergeLayers({ replacements: { [scope]: values } });
+        const errors = this.validator.validate(config, sources);
+        if (errors.length > 0) {
+            throw new Error(`The change was not saved, it makes the configuration invalid:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        }
+
+        await this.writeConfigFile(file, values);
+        return file;
+    }
+
+    async getSetting(settingPath) {
+        this.validator.findSetting(settingPath);
+        const { config, sources } = await this.resolveConfig();
+        return { value: getPath(config, settingPath), origin: sources[settingPath] || { source: 'default' } };
+    }
+
+    // A relative path is read from the directory of the file that set it, from the environment
+    // or the command line it is read from the current directory
+    async resolveSettingPath(settingPath) {
+        const { value, origin } = await this.getSetting(settingPath);
+        if (!value) {
+            return null;
+        }
+        return path.resolve(origin.file ? path.dirname(origin.file) : process.cwd(), value);
+    }
+
+    async setSetting(settingPath, rawValue, scope = 'project') {
+        const value = this.validator.parseValue(rawValue, settingPath);
+        const file = await this.setSettings({ [settingPath]: value }, scope);
+        return { value, file };
+    }
+
+    // Setting paths to parsed values, written together or not at all
+    async setSettings(settings, scope = 'project') {
+        Object.keys(settings).forEach(settingPath => this.validator.findSetting(settingPath));
+        return await this.updateConfigFile(scope, values => {
+            Object.entries(settings).forEach(([settingPath, value]) => setPath(values, settingPath, value));
+            return values;
+        });
+    }
+
+    // Returns null when the file does not set the value, so there is nothing to remove
+    async unsetSetting(settingPath, scope = 'project') {
+        this.validator.findSetting(settingPath);
+        if (getPath(await this.readStoredConfig(scope), settingPath) === undefined) {
+            return null;
+        }
+
+        return await this.updateConfigFile(scope, values => {
+            deletePath(values, settingPath);
+            return values;
+        });
+    }
+
+    // Defaults plus the user and project files, without machine specific environment values
+    async exportConfig() {
+        const { config, sources } = await this.mergeLayers({ overrides: false });
+        const errors = this.validator.validate(config, sources);
+        if (errors.length > 0) {
+            throw new Error(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        }
+        return config;
+    }
+
+    async importConfig(importFile, { scope = 'project', merge = false } = {}) {
+        const resolved = path.resolve(importFile);
+        const stored = await this.readConfigFile(resolved);
+        if (!stored) {
+            throw new Error(`Configuration file ${resolved} not found`);
+        }
+
+        const { config: imported } = migrateConfig(stored, resolved);
+        return await this.updateConfigFile(scope, values => {
+            if (!merge) {
+                return imported;
+            }
+            mergeInto(values, imported, {}, {});
+            return values;
+        });
+    }
+
+    async readConfigFile(file) {
+        if (!await fs.pathExists(file)) {
+            return null;
+        }
+
+        let content;
+        try {
+            content = await fs.readJson(file);
         } catch (error) {
-            throw new Error(`Error reading configuration: ${error.message}`);
+            throw new Error(`Error reading configuration from ${file}: ${error.message}`);
+        }
+
+        if (!isPlainObject(content)) {
+            throw new Error(`Error reading configuration from ${file}: expected a JSON object`);
+        }
+        return content;
+    }
+
+    // SBOOT_ plus the setting path in upper snake case, e.g. SBOOT_DTO_PREFERENCES_USE_LOMBOK=false
+    readEnvironment(defaults) {
+        const variables = [];
+
+        for (const settingPath of Object.keys(flatten(defaults))) {
+            const variable = environmentVariable(settingPath);
+            if (settingPath === 'configVersion' || this.env[variable] === undefined) {
+                continue;
+            }
+
+            const values = {};
+            setPath(values, settingPath, this.validator.parseValue(this.env[variable], settingPath, variable));
+            variables.push({ variable, values });
         }
+
+        return variables;
     }
 
     async saveConfig(config) {
+        return await this.writeConfigFile(this.configFile, config);
+    }
+
+    async writeConfigFile(file, config) {
         try {
-            await fs.writeJson(this.configFile, config, { spaces: 2 });
-            return path.resolve(this.configFile);
+            // Saved files always have the current shape, so they carry the current version
+            const { configVersion, ...settings } = config;
+            await fs.outputJson(file, { configVersion: CONFIG_VERSION, ...settings }, { spaces: 2 });
+            return path.resolve(file);
         } catch (error) {
             throw new Error(`Error saving configuration: ${error.message}`);
         }
@@ -92,4 +327,84 @@ export class ConfigManager {
     async hasConfig() {
         return fs.pathExists(this.configFile);
     }
-}
\ No newline at end of file
+}
+
+function environmentVariable(settingPath) {
+    return `SBOOT_${settingPath.split('.').map(toSnakeCase).join('_')}`;
+}
+
+function toSnakeCase(key) {
+    return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Leaf settings by dotted path, arrays count as a single value
+function flatten(object, prefix = '') {
+    const entries = {};
+    for (const [key, value] of Object.entries(object)) {
+        const settingPath = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) {
+            Object.assign(entries, flatten(value, settingPath));
+        } else {
+            entries[settingPath] = value;
+        }
+    }
+    return entries;
+}
+
+function getPath(object, settingPath) {
+    return settingPath.split('.').reduce((current, key) => (isPlainObject(current) ? current[key] : undefined), object);
+}
+
+function setPath(object, settingPath, value) {
+    const keys = settingPath.split('.');
+    let current = object;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(current[key])) {
+            current[key] = {};
+        }
+        current = current[key];
+    }
+    current[keys[keys.length - 1]] = value;
+}
+
+// Removes a setting and the objects it leaves empty
+function deletePath(object, settingPath) {
+    const [key, ...rest] = settingPath.split('.');
+    if (rest.length === 0) {
+        delete object[key];
+    } else if (isPlainObject(object[key])) {
+        deletePath(object[key], rest.join('.'));
+        if (Object.keys(object[key]).length === 0) {
+            delete object[key];
+        }
+    }
+}
+
+// Objects merge key by key, anything else (arrays included) replaces the lower layer
+function mergeInto(target, values, sources, origin, prefix = '') {
+    for (const [key, value] of Object.entries(values)) {
+        const settingPath = prefix ? `${prefix}.${key}` : key;
+        if (value === undefined) {
+            continue;
+        }
+
+        if (isPlainObject(value)) {
+            if (!isPlainObject(target[key])) {
+                target[key] = {};
+            }
+            mergeInto(target[key], value, sources, origin, settingPath);
+        } else {
+            target[key] = Array.isArray(value) ? [...value] : value;
+            for (const existing of Object.keys(sources)) {
+                if (existing.startsWith(`${settingPath}.`)) {
+                    delete sources[existing];
+                }
+            }
+            sources[settingPath] = origin;
+        }
+    }
+}
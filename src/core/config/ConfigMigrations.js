@@ -0,0 +1,69 @@
+import { CONFIG_VERSION } from './ConfigValidator.js';
+
+// Folders every layer got before the layout existed
+const V1_FOLDERS = {
+    application: ['mappers', 'services'],
+    domain: ['entities', 'enums'],
+    infrastructure: ['controllers', 'repositories', 'dtos']
+};
+
+// Each migration upgrades a configuration written for the previous version, and they run in order.
+// Files from before versioning count as version 0.
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Add configVersion',
+        migrate: config => config
+    },
+    {
+        version: 2,
+        description: 'Move resource folders to moduleStructure.layout',
+        migrate: config => {
+            const layers = config.moduleStructure?.layers;
+            if (!layers) {
+                return config;
+            }
+
+            // The folders sboot used to create itself now come from the layout, the rest stay as extra folders
+            const migratedLayers = Object.fromEntries(Object.entries(layers).map(([layer, settings]) => [
+                layer,
+                Array.isArray(settings?.folders)
+                    ? { ...settings, folders: settings.folders.filter(folder => !V1_FOLDERS[layer]?.includes(folder)) }
+                    : settings
+            ]));
+
+            return { ...config, moduleStructure: { ...config.moduleStructure, layers: migratedLayers } };
+        }
+    },
+    {
+        version: 3,
+        description: 'Add architecture and naming',
+        // Both come from the defaults, the version only marks files that may set them
+        migrate: config => config
+    },
+    {
+        version: 4,
+        description: 'Add architecture check rules',
+        migrate: config => config
+    }
+];
+
+export function migrateConfig(config, file) {
+    const from = config.configVersion ?? 0;
+
+    if (!Number.isInteger(from) || from < 0) {
+        throw new Error(`Invalid configVersion '${from}' in ${file}. Use a whole number up to ${CONFIG_VERSION}`);
+    }
+    if (from > CONFIG_VERSION) {
+        throw new Error(`${file} uses configVersion ${from}, but this version of sboot only supports up to ${CONFIG_VERSION}. Update sboot to read it`);
+    }
+
+    let migrated = config;
+    const applied = [];
+    for (const migration of MIGRATIONS.filter(migration => migration.version > from)) {
+        migrated = { ...migration.migrate(migrated), configVersion: migration.version };
+        applied.push(migration);
+    }
+
+    return { config: migrated, from, applied };
+}
@@ -0,0 +1,183 @@
+import Ajv from 'ajv';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+
+export const CONFIG_SCHEMA = fs.readJsonSync(fileURLToPath(new URL('./config.schema.json', import.meta.url)));
+
+// The schema pins the version it describes
+export const CONFIG_VERSION = CONFIG_SCHEMA.properties.configVersion.const;
+
+const TYPE_NAMES = {
+    boolean: 'true or false',
+    string: 'a string',
+    number: 'a number',
+    integer: 'a whole number',
+    array: 'a list',
+    object: 'an object',
+    null: 'null'
+};
+
+// How to fix a value of a schema definition that does not match its pattern
+const PATTERN_HINTS = {
+    location: 'Use folder names separated by /, e.g. infrastructure/controllers, or an empty string for the module package',
+    suffix: 'Use a capitalized class name ending, e.g. Service'
+};
+
+export class ConfigValidator {
+    constructor() {
+        this.validator = new Ajv({ allErrors: true, verbose: true }).compile(CONFIG_SCHEMA);
+    }
+
+    // Returns one message per problem, naming the setting path and where its value came from
+    validate(config, sources = {}) {
+        if (this.validator(config)) {
+            return [];
+        }
+
+        const messages = this.validator.errors.map(error => this.formatError(error, sources));
+
+        return [...new Set(messages)];
+    }
+
+    // The schema of a dotted setting path, e.g. dtoPreferences.types
+    findSetting(settingPath) {
+        let schema = CONFIG_SCHEMA;
+        const visited = [];
+
+        for (const key of settingPath.split('.')) {
+            const node = resolveReference(schema);
+            const properties = node.properties || {};
+
+            // Maps with free keys, such as moduleStructure.layers, take any name their schema allows
+            if (!Object.hasOwn(properties, key) && typeof node.additionalProperties === 'object') {
+                const pattern = node.propertyNames?.pattern;
+                if (pattern && !new RegExp(pattern).test(key)) {
+                    throw new Error(`Invalid name '${key}' in setting '${settingPath}'`);
+                }
+                schema = node.additionalProperties;
+                visited.push(key);
+                continue;
+            }
+
+            if (!Object.hasOwn(properties, key) || key === '$schema') {
+                const parent = visited.length > 0 ? `'${visited.join('.')}'` : 'the top level';
+                const known = Object.keys(properties).filter(name => name !== '$schema');
+                throw new Error(known.length > 0
+                    ? `Unknown setting '${settingPath}'. Settings under ${parent}: ${known.join(', ')}`
+                    : `Unknown setting '${settingPath}', ${parent} has no settings below it`);
+            }
+            schema = properties[key];
+            visited.push(key);
+        }
+
+        return resolveReference(schema);
+    }
+
+    // Turns a command line or environment string into the type the setting expects
+    parseValue(raw, settingPath, label = settingPath) {
+        const schema = this.findSetting(settingPath);
+        const types = [].concat(schema.type || typeof (schema.enum?.[0] ?? schema.const));
+
+        if (types.includes('null') && (raw === 'null' || raw.trim() === '')) {
+            return null;
+        }
+        if (types.includes('boolean')) {
+            if (!['true', 'false'].includes(raw.toLowerCase())) {
+                throw new Error(`Invalid value '${raw}' for ${label}. Use true or false`);
+            }
+            return raw.toLowerCase() === 'true';
+        }
+        if (types.includes('array')) {
+            return raw.trim().startsWith('[')
+                ? parseJson(raw, label)
+                : raw.split(',').map(item => item.trim()).filter(Boolean);
+        }
+        if (types.includes('object')) {
+            return parseJson(raw, label);
+        }
+        if (types.includes('number') || types.includes('integer')) {
+            const value = Number(raw);
+            if (raw.trim() === '' || Number.isNaN(value)) {
+                throw new Error(`Invalid value '${raw}' for ${label}. Use a number`);
+            }
+            return value;
+        }
+        return raw;
+    }
+
+    formatError(error, sources) {
+        const segments = error.instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+        switch (error.keyword) {
+            case 'additionalProperties':
+                return this.describe([...segments, error.params.additionalProperty], sources,
+                    `unknown setting. Allowed settings: ${Object.keys(error.parentSchema.properties || {}).join(', ')}`);
+            case 'required':
+                return this.describe([...segments, error.params.missingProperty], sources, 'is missing');
+            case 'enum':
+                return this.describe(segments, sources,
+                    `${JSON.stringify(error.data)} is not allowed. Allowed values: ${error.params.allowedValues.join(', ')}`);
+            case 'const':
+                return this.describe(segments, sources, `must be ${JSON.stringify(error.params.allowedValue)}`);
+            case 'type': {
+                const types = [].concat(error.params.type).map(type => TYPE_NAMES[type] || type);
+                return this.describe(segments, sources, `must be ${types.join(' or ')}, got ${JSON.stringify(error.data)}`);
+            }
+            case 'minItems':
+                return this.describe(segments, sources, `must list at least ${error.params.limit} value(s)`);
+            case 'uniqueItems':
+                return this.describe(segments, sources, `must not repeat ${JSON.stringify(error.data[error.params.i])}`);
+            case 'pattern': {
+                const hint = PATTERN_HINTS[error.schemaPath.split('/')[2]];
+                return this.describe(segments, sources, hint
+                    ? `${JSON.stringify(error.data)} is not valid. ${hint}`
+                    : `${JSON.stringify(error.data)} is not a valid name`);
+            }
+            default:
+                return this.describe(segments, sources, error.message);
+        }
+    }
+
+    describe(segments, sources, problem) {
+        const settingPath = segments.reduce((result, segment) =>
+            /^\d+$/.test(segment) ? `${result}[${segment}]` : result ? `${result}.${segment}` : segment, '');
+        const origin = findOrigin(segments.filter(segment => !/^\d+$/.test(segment)), sources);
+
+        return `${settingPath || 'configuration'}${origin ? ` (${origin})` : ''}: ${problem}`;
+    }
+}
+
+function resolveReference(schema) {
+    return schema.$ref
+        ? schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], CONFIG_SCHEMA)
+        : schema;
+}
+
+function parseJson(raw, label) {
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Invalid JSON for ${label}: ${error.message}`);
+    }
+}
+
+// The layer of the setting itself, or of the closest parent or child that set it
+function findOrigin(keys, sources) {
+    for (let length = keys.length; length > 0; length--) {
+        const origin = sources[keys.slice(0, length).join('.')];
+        if (origin) {
+            return formatOrigin(origin);
+        }
+    }
+
+    const prefix = `${keys.join('.')}.`;
+    const child = Object.entries(sources).find(([settingPath]) => settingPath.startsWith(prefix));
+    return child ? formatOrigin(child[1]) : null;
+}
+
+function formatOrigin(origin) {
+    if (origin.file) return origin.file;
+    if (origin.variable) return `env ${origin.variable}`;
+    if (origin.source === 'cli') return 'command line';
+    return origin.source === 'default' ? null : origin.source;
+}
@@ -0,0 +1,129 @@
+import path from 'path';
+
+// Where each resource type lives inside a module, as a path below the module package.
+// {layer} stands for the DTO layer, chosen with dtoPreferences.defaultLocation or --layer,
+// and an empty path is the module package itself.
+export const DEFAULT_LAYOUT = {
+    entity: 'domain/entities',
+    enum: 'domain/enums',
+    enumConverter: 'domain/enums/converters',
+    repository: 'infrastructure/repositories',
+    service: 'application/services',
+    serviceImpl: 'application/services/implementations',
+    mapper: 'application/mappers',
+    mapperImpl: 'application/mappers/implementations',
+    controller: 'infrastructure/controllers',
+    dto: '{layer}/dtos'
+};
+
+// Entries a layout may add: with repositoryAdapter the repository becomes a port, implemented by an adapter there
+export const OPTIONAL_LAYOUT_ENTRIES = ['repositoryAdapter'];
+
+export const DTO_LAYERS = ['application', 'infrastructure'];
+
+// The module package itself, as a layer name in scan results
+export const MODULE_ROOT = '.';
+
+// Kotlin hard keywords, a package segment using one is quoted with backticks, e.g. port.`in`
+const KOTLIN_KEYWORDS = new Set([
+    'as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in', 'interface', 'is',
+    'null', 'object', 'package', 'return', 'super', 'this', 'throw', 'true', 'try', 'typealias', 'typeof',
+    'val', 'var', 'when', 'while'
+]);
+
+// A package name as written in source code of the language
+export function sourcePackage(segments, language = 'java') {
+    return segments
+        .map(segment => language === 'kotlin' && KOTLIN_KEYWORDS.has(segment) ? `\`${segment}\`` : segment)
+        .join('.');
+}
+
+export class ModuleLayout {
+    constructor(config = {}, language = 'java') {
+        this.language = language;
+        this.layout = { ...DEFAULT_LAYOUT, ...config?.moduleStructure?.layout };
+        this.layers = config?.moduleStructure?.layers || {};
+        this.dtoLayer = config?.dtoPreferences?.defaultLocation || 'infrastructure';
+    }
+
+    segments(type, layer = this.dtoLayer) {
+        if (!this.has(type)) {
+            throw new Error(`No layout entry for '${type}'. Layout entries are: ${Object.keys(this.layout).join(', ')}`);
+        }
+        const location = this.layout[type];
+        return location ? location.replace(/\{layer\}/g, layer).split('/') : [];
+    }
+
+    has(type) {
+        return Object.hasOwn(this.layout, type);
+    }
+
+    directory(moduleBasePath, type, layer) {
+        return path.join(moduleBasePath, ...this.segments(type, layer));
+    }
+
+    packageName(basePackage, moduleName, type, layer) {
+        return sourcePackage([...basePackage.split('.'), moduleName, ...this.segments(type, layer)], this.language);
+    }
+
+    // Every package of a module by resource type, as the templates receive them
+    packages(basePackage, moduleName, layer) {
+        return Object.fromEntries(Object.keys(this.layout).map(type =>
+            [type, this.packageName(basePackage, moduleName, type, layer)]
+        ));
+    }
+
+    // The DTO locations to look in, the configured one first
+    dtoLayers() {
+        return this.layout.dto.includes('{layer}')
+            ? [this.dtoLayer, ...DTO_LAYERS.filter(layer => layer !== this.dtoLayer)]
+            : [this.dtoLayer];
+    }
+
+    // Top-level directories of a module, from the layer settings and the layout
+    layerNames() {
+        const names = new Set(Object.keys(this.layers));
+        for (const type of Object.keys(this.layout)) {
+            for (const layer of type === 'dto' ? this.dtoLayers() : [this.dtoLayer]) {
+                names.add(this.segments(type, layer)[0] ?? MODULE_ROOT);
+            }
+        }
+        names.delete(MODULE_ROOT);
+        return [...names];
+    }
+
+    // Whether some resource type lives directly in the module package
+    usesModuleRoot() {
+        return Object.keys(this.layout).some(type => this.segments(type).length === 0);
+    }
+
+    isLayerEnabled(layer) {
+        return this.layers[layer]?.enabled ?? true;
+    }
+
+    // Directories a new module starts with: enabled layers, their extra folders and every layout location in them
+    moduleDirectories() {
+        const directories = new Set();
+        const add = (segments) => {
+            for (let length = 1; length <= segments.length; length++) {
+                directories.add(segments.slice(0, length).join('/'));
+            }
+        };
+
+        for (const [layer, settings] of Object.entries(this.layers)) {
+            if (settings.enabled) {
+                add([layer]);
+                (settings.folders || []).forEach(folder => add([layer, ...folder.split('/')]));
+            }
+        }
+
+        for (const type of Object.keys(this.layout)) {
+            const segments = this.segments(type);
+            if (segments.length > 0 && this.isLayerEnabled(segments[0])) {
+                add(segments);
+            }
+        }
+
+        return [...directories].map(directory => directory.split('/'));
+    }
+}
@@ -0,0 +1,51 @@
+// Class name suffixes by resource type, appended to the entity or resource name.
+// Entities and enums keep their own name. The adapter names only apply to layouts with a repositoryAdapter.
+export const DEFAULT_NAMING = {
+    repository: 'Repository',
+    repositoryAdapter: 'PersistenceAdapter',
+    jpaRepository: 'JpaRepository',
+    service: 'Service',
+    serviceImpl: 'ServiceImpl',
+    mapper: 'Mapper',
+    mapperImpl: 'MapperImpl',
+    controller: 'Controller',
+    dto: 'DTO'
+};
+
+// DTO kinds generated for an entity, with where the kind goes in the class name
+const DTO_KINDS = {
+    Create: { prefix: 'Create', suffix: '' },
+    Response: { prefix: '', suffix: 'Response' },
+    Update: { prefix: 'Update', suffix: '' }
+};
+
+export class ResourceNaming {
+    constructor(config = {}) {
+        this.suffixes = { ...DEFAULT_NAMING, ...config?.naming };
+    }
+
+    className(type, baseName) {
+        if (!Object.hasOwn(this.suffixes, type)) {
+            throw new Error(`No naming entry for '${type}'. Naming entries are: ${Object.keys(this.suffixes).join(', ')}`);
+        }
+        return `${baseName}${this.suffixes[type]}`;
+    }
+
+    // The resource name without its suffix, so both Pricing and PricingService name the same service
+    baseName(type, className) {
+        const suffix = this.suffixes[type];
+        return suffix && className.endsWith(suffix) && className !== suffix
+            ? className.slice(0, -suffix.length)
+            : className;
+    }
+
+    dtoClassName(kind, entityName) {
+        const { prefix, suffix } = DTO_KINDS[kind];
+        return `${prefix}${entityName}${suffix}${this.suffixes.dto}`;
+    }
+
+    // Every class name derived from one base name, as the templates receive them
+    names(baseName) {
+        return Object.fromEntries(Object.keys(this.suffixes).map(type => [type, this.className(type, baseName)]));
+    }
+}
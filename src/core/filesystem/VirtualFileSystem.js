@@ -0,0 +1,200 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { UnifiedDiff } from '../../utils/UnifiedDiff.js';
+
+export class VirtualFileSystem {
+    constructor() {
+        this.directories = new Set();
+        this.files = new Map();
+        this.committed = { directories: [], files: [] };
+    }
+
+    async ensureDir(dirPath) {
+        const resolved = path.resolve(dirPath);
+        if (this.directories.has(resolved) || await fs.pathExists(resolved)) {
+            return;
+        }
+
+        // Parents are recorded too so the preview lists every directory that would be created
+        await this.ensureDir(path.dirname(resolved));
+        this.directories.add(resolved);
+    }
+
+    // Updates are deliberate edits of existing files, anything else replacing a file is a conflict
+    async writeFile(filePath, content, { update = false } = {}) {
+        const resolved = path.resolve(filePath);
+        await this.ensureDir(path.dirname(resolved));
+
+        const staged = this.files.get(resolved);
+        const previousContent = staged
+            ? staged.previousContent
+            : await fs.pathExists(resolved) ? await fs.readFile(resolved, 'utf-8') : null;
+
+        this.files.set(resolved, {
+            path: resolved,
+            content,
+            previousContent,
+            update: staged ? staged.update && update : update
+        });
+    }
+
+    getConflicts() {
+        return this.getChanges().files.filter(file => file.action === 'overwrite');
+    }
+
+    skip(filePath) {
+        this.files.delete(path.resolve(filePath));
+    }
+
+    async writeAlongside(filePath, suffix = '.new') {
+        const resolved = path.resolve(filePath);
+        const staged = this.files.get(resolved);
+        this.files.delete(resolved);
+        await this.writeFile(`${resolved}${suffix}`, staged.content, { update: true });
+        return `${resolved}${suffix}`;
+    }
+
+    async readFile(filePath, encoding = 'utf-8') {
+        const staged = this.files.get(path.resolve(filePath));
+        if (staged) {
+            return staged.content;
+        }
+        return await fs.readFile(filePath, encoding);
+    }
+
+    async pathExists(targetPath) {
+        const resolved = path.resolve(targetPath);
+        if (this.files.has(resolved) || this.directories.has(resolved)) {
+            return true;
+        }
+        return await fs.pathExists(resolved);
+    }
+
+    getChanges() {
+        const directories = [...this.directories].sort();
+        const files = [...this.files.values()]
+            .filter(file => file.content !== file.previousContent)
+            .map(file => ({
+                ...file,
+                action: file.previousContent === null ? 'create' : file.update ? 'modify' : 'overwrite'
+            }));
+
+        return { directories, files };
+    }
+
+    hasChanges() {
+        const { directories, files } = this.getChanges();
+        return directories.length > 0 || files.length > 0;
+    }
+
+    // Writes every staged change, or none of them: a failed write rolls back the ones already applied
+    async commit() {
+        const changes = this.getChanges();
+        const createdDirectories = [];
+        const writtenFiles = [];
+
+        try {
+            for (const directory of changes.directories) {
+                await fs.ensureDir(directory);
+                createdDirectories.push(directory);
+            }
+            for (const file of changes.files) {
+                await fs.ensureDir(path.dirname(file.path));
+                await fs.writeFile(file.path, file.content);
+                writtenFiles.push(file);
+            }
+        } catch (error) {
+            await this.rollback(writtenFiles, createdDirectories);
+            throw new Error(`Could not write changes, nothing was modified: ${error.message}`);
+        }
+
+        this.recordCommitted(changes);
+        this.directories.clear();
+        this.files.clear();
+
+        return changes;
+    }
+
+    async rollback(writtenFiles, createdDirectories) {
+        for (const file of [...writtenFiles].reverse()) {
+            if (file.previousContent === null) {
+                await fs.remove(file.path);
+            } else {
+                await fs.writeFile(file.path, file.previousContent);
+            }
+        }
+
+        // Deepest first so parents are empty by the time they are removed
+        for (const directory of [...createdDirectories].sort((a, b) => b.length - a.length)) {
+            if ((await fs.readdir(directory)).length === 0) {
+                await fs.remove(directory);
+            }
+        }
+    }
+
+    // Everything written so far, a file written twice keeps its original previous content
+    recordCommitted(changes) {
+        this.committed.directories.push(...changes.directories);
+
+        for (const file of changes.files) {
+            const existing = this.committed.files.find(committed => committed.path === file.path);
+            if (existing) {
+                existing.content = file.content;
+            } else {
+                this.committed.files.push({
+                    path: file.path,
+                    action: file.action,
+                    content: file.content,
+                    previousContent: file.previousContent
+                });
+            }
+        }
+    }
+
+    render(baseDir = process.cwd()) {
+        const { directories, files } = this.getChanges();
+        const lines = [];
+
+        if (directories.length === 0 && files.length === 0) {
+            return chalk.gray('No changes');
+        }
+
+        directories.forEach(directory => {
+            lines.push(chalk.green(`  create  ${path.relative(baseDir, directory)}${path.sep}`));
+        });
+
+        files.forEach(file => {
+            const relativePath = path.relative(baseDir, file.path);
+            if (file.action === 'create') {
+                lines.push(chalk.green(`  create  ${relativePath}`));
+                return;
+            }
+
+            lines.push(file.action === 'overwrite'
+                ? chalk.red(`  overwrite  ${relativePath}`)
+                : chalk.yellow(`  modify  ${relativePath}`));
+            lines.push(this.renderDiff(file, baseDir));
+        });
+
+        return lines.join('\n');
+    }
+
+    renderDiff(file, baseDir = process.cwd()) {
+        const relativePath = path.relative(baseDir, file.path);
+        const patch = new UnifiedDiff().create(file.previousContent, file.content, relativePath);
+
+        return patch.split('\n').map(line => {
+            if (line.startsWith('+++') || line.startsWith('---')) {
+                return chalk.bold(line);
+            } else if (line.startsWith('@@')) {
+                return chalk.cyan(line);
+            } else if (line.startsWith('+')) {
+                return chalk.green(line);
+            } else if (line.startsWith('-')) {
+                return chalk.red(line);
+            }
+            return line;
+        }).join('\n');
+    }
+}
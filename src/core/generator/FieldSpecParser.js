@@ -0,0 +1,214 @@
+export const FIELD_TYPES = {
+    String: null,
+    Integer: null,
+    Long: null,
+    Short: null,
+    Byte: null,
+    Double: null,
+    Float: null,
+    Boolean: null,
+    Character: null,
+    BigDecimal: 'java.math.BigDecimal',
+    BigInteger: 'java.math.BigInteger',
+    LocalDate: 'java.time.LocalDate',
+    LocalDateTime: 'java.time.LocalDateTime',
+    LocalTime: 'java.time.LocalTime',
+    Instant: 'java.time.Instant',
+    OffsetDateTime: 'java.time.OffsetDateTime',
+    ZonedDateTime: 'java.time.ZonedDateTime',
+    Duration: 'java.time.Duration',
+    UUID: 'java.util.UUID'
+};
+
+export const RELATION_TYPES = ['ManyToOne', 'OneToMany', 'OneToOne', 'ManyToMany'];
+
+export class FieldSpecParser {
+    // Parses "name:String!,price:BigDecimal(10,2),sku:String(64)unique,customer:ManyToOne(Customer)"
+    parse(spec) {
+        if (!spec || !spec.trim()) {
+            return [];
+        }
+
+        const fields = this.splitEntries(spec).map(entry => this.parseField(entry));
+
+        const seen = new Set();
+        for (const field of fields) {
+            if (seen.has(field.name)) {
+                throw new Error(`Field '${field.name}' is defined more than once`);
+            }
+            seen.add(field.name);
+        }
+
+        return fields;
+    }
+
+    parseField(entry) {
+        const relationMatch = entry.match(/^([A-Za-z_$][\w$]*)\s*:\s*(ManyToOne|OneToMany|OneToOne|ManyToMany)\s*\(([^)]*)\)\s*(.*)$/);
+        if (relationMatch) {
+            return this.parseRelation(relationMatch);
+        }
+
+        const match = entry.match(/^([A-Za-z_$][\w$]*)\s*:\s*([A-Za-z][\w]*)\s*(?:\(\s*(\d+)\s*(?:,\s*(\d+)\s*)?\))?\s*(.*)$/);
+        if (!match) {
+            throw new Error(`Invalid field definition '${entry}'. Use name:Type, e.g. price:BigDecimal or sku:String(64)unique`);
+        }
+
+        const [, name, type, size, scale, modifiers] = match;
+
+        this.validateName(name);
+
+        const field = {
+            name,
+            type,
+            nullable: true,
+            unique: false,
+            length: null,
+            precision: null,
+            scale: null
+        };
+
+        if (size !== undefined) {
+            if (type === 'String') {
+                if (scale !== undefined) {
+                    throw new Error(`Field '${name}': String only accepts a length, e.g. String(64)`);
+                }
+                field.length = Number(size);
+            } else if (type === 'BigDecimal') {
+                field.precision = Number(size);
+                field.scale = scale !== undefined ? Number(scale) : null;
+            } else {
+                throw new Error(`Field '${name}': size is only supported for String and BigDecimal`);
+            }
+        }
+
+        this.applyModifiers(field, modifiers);
+
+        return field;
+    }
+
+    parseRelation([, name, relation, args, modifiers]) {
+        this.validateName(name);
+
+        // Arguments are "Target" followed by optional mappedBy=field and inverse[=field]
+        const [target, ...options] = args.split(',').map(arg => arg.trim());
+        if (!/^[A-Z][a-zA-Z0-9]*$/.test(target || '')) {
+            throw new Error(`Field '${name}': ${relation} needs a target entity, e.g. ${name}:${relation}(Customer)`);
+        }
+
+        const field = {
+            name,
+            relation,
+            target,
+            mappedBy: null,
+            inverse: null,
+            nullable: true
+        };
+
+        for (const option of options) {
+            const [key, value] = option.split('=').map(part => part.trim());
+
+            if (key === 'mappedBy') {
+                if (relation === 'ManyToOne') {
+                    throw new Error(`Field '${name}': ManyToOne is always the owning side and cannot use mappedBy`);
+                }
+                if (!/^[a-z][a-zA-Z0-9]*$/.test(value || '')) {
+                    throw new Error(`Field '${name}': mappedBy needs a field name, e.g. mappedBy=order`);
+                }
+                field.mappedBy = value;
+            } else if (key === 'inverse') {
+                if (value !== undefined && !/^[a-z][a-zA-Z0-9]*$/.test(value)) {
+                    throw new Error(`Field '${name}': invalid inverse field name '${value}'`);
+                }
+                field.inverse = value || true;
+            } else {
+                throw new Error(`Field '${name}': unknown relationship option '${option}'. Use mappedBy=<field> or inverse[=<field>]`);
+            }
+        }
+
+        if (field.mappedBy && typeof field.inverse === 'string' && field.inverse !== field.mappedBy) {
+            throw new Error(`Field '${name}': the inverse field is '${field.mappedBy}' because of mappedBy, use inverse without a name`);
+        }
+
+        if (relation === 'OneToMany' && field.inverse && !field.mappedBy) {
+            throw new Error(`Field '${name}': the inverse side of a OneToMany needs mappedBy=<field>`);
+        }
+
+        const rest = modifiers.trim();
+        if (rest === '!') {
+            if (field.mappedBy || relation === 'OneToMany' || relation === 'ManyToMany') {
+                throw new Error(`Field '${name}': only the owning side of a ManyToOne or OneToOne can be required`);
+            }
+            field.nullable = false;
+        } else if (rest.length > 0) {
+            throw new Error(`Field '${name}': unknown modifier '${rest}'. Relationships only accept ! for required`);
+        }
+
+        return field;
+    }
+
+    validateName(name) {
+        if (!/^[a-z][a-zA-Z0-9]*$/.test(name)) {
+            throw new Error(`Invalid field name '${name}'. Field names must be camelCase`);
+        }
+        if (name === 'id') {
+            throw new Error('The id field is generated automatically and cannot be redefined');
+        }
+    }
+
+    applyModifiers(field, modifiers) {
+        let rest = modifiers.trim();
+
+        while (rest.length > 0) {
+            if (rest.startsWith('!')) {
+                field.nullable = false;
+                rest = rest.slice(1).trim();
+            } else if (/^unique\b/.test(rest)) {
+                field.unique = true;
+                rest = rest.slice('unique'.length).trim();
+            } else {
+                throw new Error(`Field '${field.name}': unknown modifier '${rest}'. Use ! for required and unique for unique columns`);
+            }
+        }
+    }
+
+    splitEntries(spec) {
+        // Commas inside parentheses belong to the entry, e.g. BigDecimal(10,2) or OneToMany(Item, mappedBy=order)
+        const entries = [];
+        let depth = 0;
+        let current = '';
+
+        for (const char of spec) {
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+
+            if (char === ',' && depth === 0) {
+                entries.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        entries.push(current.trim());
+
+        return entries.filter(entry => entry.length > 0);
+    }
+
+    toSpec(field) {
+        if (field.relation) {
+            const options = [field.target];
+            if (field.mappedBy) options.push(`mappedBy=${field.mappedBy}`);
+            if (field.inverse) options.push(field.inverse === true ? 'inverse' : `inverse=${field.inverse}`);
+            return `${field.name}:${field.relation}(${options.join(', ')})${field.nullable ? '' : '!'}`;
+        }
+
+        let spec = `${field.name}:${field.type}`;
+        if (field.length) {
+            spec += `(${field.length})`;
+        } else if (field.precision) {
+            spec += field.scale !== null ? `(${field.precision},${field.scale})` : `(${field.precision})`;
+        }
+        if (!field.nullable) spec += '!';
+        if (field.unique) spec += 'unique';
+        return spec;
+    }
+}
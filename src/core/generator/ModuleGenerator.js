@@ -1,11 +1,13 @@
-import fs from 'fs-extra';
 import path from 'path';
 import { Logger } from '../../utils/Logger.js';
+import { VirtualFileSystem } from '../filesystem/VirtualFileSystem.js';
+import { ModuleLayout } from '../config/ModuleLayout.js';
 
 export class ModuleGenerator {
-    constructor(projectStructure, config) {
+    constructor(projectStructure, config, fileSystem = new VirtualFileSystem()) {
         this.projectStructure = projectStructure;
         this.config = config;
+        this.fileSystem = fileSystem;
         this.logger = new Logger();
     }
 
@@ -22,37 +24,19 @@ export class ModuleGenerator {
         }
 
         // Create module base directory
-        await fs.ensureDir(moduleBasePath);
+        await this.fileSystem.ensureDir(moduleBasePath);
         createdPaths.push(moduleBasePath);
 
-        // Create layer structure based on configuration
-        for (const [layerName, layerConfig] of Object.entries(this.config.moduleStructure.layers)) {
-            if (layerConfig.enabled) {
-                const layerPath = path.join(moduleBasePath, layerName);
-                await fs.ensureDir(layerPath);
-                createdPaths.push(layerPath);
+        // Create the enabled layers and every resource folder the layout places in them
+        for (const segments of new ModuleLayout(this.config).moduleDirectories()) {
+            const folderPath = path.join(moduleBasePath, ...segments);
+            await this.fileSystem.ensureDir(folderPath);
+            createdPaths.push(folderPath);
 
-                if (verbose) {
-                    this.logger.info(`Creating ${layerName} layer`);
-                }
-
-                // Create configured folders for the layer
-                for (const folder of layerConfig.folders) {
-                    const folderPath = path.join(layerPath, folder);
-                    await fs.ensureDir(folderPath);
-                    createdPaths.push(folderPath);
-
-                    if (verbose) {
-                        this.logger.info(`Creating folder: ${folder}`);
-                    }
-
-                    // Create implementations folder for services and mappers if needed
-                    if (['services', 'mappers'].includes(folder)) {
-                        const implPath = path.join(folderPath, 'implementations');
-                        await fs.ensureDir(implPath);
-                        createdPaths.push(implPath);
-                    }
-                }
+            if (verbose) {
+                this.logger.info(segments.length === 1
+                    ? `Creating ${segments[0]} layer`
+                    : `Creating folder: ${segments.join('/')}`);
             }
         }
 
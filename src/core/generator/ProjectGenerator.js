@@ -0,0 +1,237 @@
+import path from 'path';
+import { TemplateEngine } from './TemplateEngine.js';
+import { ConfigManager } from '../config/ConfigManager.js';
+import { ARCHITECTURE_PRESETS, applyPreset } from '../config/ArchitecturePresets.js';
+import { VirtualFileSystem } from '../filesystem/VirtualFileSystem.js';
+
+// Versions bundled with the CLI, so a new project builds without asking any server for metadata
+export const SPRING_BOOT_VERSION = '3.3.5';
+export const DEPENDENCY_MANAGEMENT_VERSION = '1.1.6';
+export const GRADLE_VERSION = '8.10.2';
+export const MAVEN_VERSION = '3.9.9';
+export const MAPSTRUCT_VERSION = '1.6.2';
+export const LOMBOK_MAPSTRUCT_BINDING_VERSION = '0.2.0';
+
+export const BUILD_TOOLS = {
+    'maven': 'Maven',
+    'gradle': 'Gradle (Groovy DSL)',
+    'gradle-kotlin': 'Gradle (Kotlin DSL)'
+};
+
+export const JAVA_VERSIONS = ['17', '21'];
+
+// Each starter lists Gradle-style configurations, translated to Maven scopes when rendering a pom
+export const STARTERS = {
+    'web': {
+        name: 'Spring Web',
+        dependencies: [{ group: 'org.springframework.boot', artifact: 'spring-boot-starter-web', configuration: 'implementation' }]
+    },
+    'data-jpa': {
+        name: 'Spring Data JPA',
+        dependencies: [{ group: 'org.springframework.boot', artifact: 'spring-boot-starter-data-jpa', configuration: 'implementation' }]
+    },
+    'validation': {
+        name: 'Validation',
+        dependencies: [{ group: 'org.springframework.boot', artifact: 'spring-boot-starter-validation', configuration: 'implementation' }]
+    },
+    'security': {
+        name: 'Spring Security',
+        dependencies: [
+            { group: 'org.springframework.boot', artifact: 'spring-boot-starter-security', configuration: 'implementation' },
+            { group: 'org.springframework.security', artifact: 'spring-security-test', configuration: 'testImplementation' }
+        ]
+    },
+    'actuator': {
+        name: 'Spring Boot Actuator',
+        dependencies: [{ group: 'org.springframework.boot', artifact: 'spring-boot-starter-actuator', configuration: 'implementation' }]
+    },
+    'devtools': {
+        name: 'Spring Boot DevTools',
+        dependencies: [{ group: 'org.springframework.boot', artifact: 'spring-boot-devtools', configuration: 'developmentOnly' }]
+    },
+    'lombok': {
+        name: 'Lombok',
+        dependencies: [{ group: 'org.projectlombok', artifact: 'lombok', configuration: 'compileOnly' }],
+        processors: [{ group: 'org.projectlombok', artifact: 'lombok', versionProperty: 'lombok.version' }]
+    },
+    'mapstruct': {
+        name: 'MapStruct',
+        dependencies: [{ group: 'org.mapstruct', artifact: 'mapstruct', version: MAPSTRUCT_VERSION, versionProperty: 'mapstruct.version', configuration: 'implementation' }],
+        processors: [{ group: 'org.mapstruct', artifact: 'mapstruct-processor', version: MAPSTRUCT_VERSION, versionProperty: 'mapstruct.version' }]
+    },
+    'h2': {
+        name: 'H2 Database',
+        dependencies: [{ group: 'com.h2database', artifact: 'h2', configuration: 'runtimeOnly' }]
+    },
+    'postgresql': {
+        name: 'PostgreSQL Driver',
+        dependencies: [{ group: 'org.postgresql', artifact: 'postgresql', configuration: 'runtimeOnly' }]
+    },
+    'mysql': {
+        name: 'MySQL Driver',
+        dependencies: [{ group: 'com.mysql', artifact: 'mysql-connector-j', configuration: 'runtimeOnly' }]
+    }
+};
+
+export const DEFAULT_STARTERS = ['web', 'data-jpa', 'validation', 'lombok', 'mapstruct', 'h2'];
+
+const MAVEN_SCOPES = {
+    implementation: { scope: null, optional: false },
+    compileOnly: { scope: null, optional: true },
+    runtimeOnly: { scope: 'runtime', optional: false },
+    developmentOnly: { scope: 'runtime', optional: true },
+    testImplementation: { scope: 'test', optional: false }
+};
+
+const DATABASES = {
+    h2: name => ({ url: `jdbc:h2:mem:${name}`, username: 'sa', password: '' }),
+    postgresql: name => ({ url: `jdbc:postgresql://localhost:5432/${name}`, username: 'postgres', password: 'postgres' }),
+    mysql: name => ({ url: `jdbc:mysql://localhost:3306/${name}`, username: 'root', password: 'root' })
+};
+
+export class ProjectGenerator {
+    constructor(fileSystem = new VirtualFileSystem()) {
+        this.fileSystem = fileSystem;
+        this.templateEngine = new TemplateEngine();
+    }
+
+    async generate(options, targetDir) {
+        const settings = this.validate(options);
+        const templateData = this.buildTemplateData(settings);
+        const createdFiles = [];
+
+        const write = async (relativePath, template) => {
+            const filePath = path.join(targetDir, relativePath);
+            await this.fileSystem.writeFile(filePath, await this.templateEngine.generateFromTemplate(`project/${template}`, templateData));
+            createdFiles.push(filePath);
+        };
+
+        if (settings.buildTool === 'maven') {
+            await write('pom.xml', 'pom.xml');
+            await write(path.join('.mvn', 'wrapper', 'maven-wrapper.properties'), 'maven-wrapper.properties');
+        } else {
+            const extension = settings.buildTool === 'gradle-kotlin' ? '.kts' : '';
+            await write(`build.gradle${extension}`, `build.gradle${extension}`);
+            await write(`settings.gradle${extension}`, `settings.gradle${extension}`);
+            await write(path.join('gradle', 'wrapper', 'gradle-wrapper.properties'), 'gradle-wrapper.properties');
+        }
+
+        const packagePath = settings.basePackage.split('.').join(path.sep);
+        await write(path.join('src', 'main', 'java', packagePath, `${templateData.applicationName}.java`), 'Application.java');
+        await write(path.join('src', 'main', 'resources', 'application.yml'), 'application.yml');
+        await write(path.join('src', 'test', 'java', packagePath, `${templateData.applicationName}Tests.java`), 'ApplicationTests.java');
+        await write('.gitignore', 'gitignore');
+
+        const configPath = path.join(targetDir, 'screan-boot.config.json');
+        const config = await this.buildConfig(settings);
+        await this.fileSystem.writeFile(configPath, `${JSON.stringify(config, null, 2)}\n`);
+        createdFiles.push(configPath);
+
+        return {
+            createdFiles
+        };
+    }
+
+    validate(options) {
+        const { group, artifact, basePackage, buildTool, javaVersion, starters = [], architecture = 'clean' } = options;
+
+        if (!/^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)*$/.test(group || '')) {
+            throw new Error(`Invalid group '${group}'. Use a lowercase dotted name, e.g. com.example`);
+        }
+        if (!/^[a-z][a-z0-9]*([-_.][a-z0-9]+)*$/.test(artifact || '')) {
+            throw new Error(`Invalid artifact '${artifact}'. Use lowercase letters, digits and dashes, e.g. order-service`);
+        }
+        if (!/^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)*$/.test(basePackage || '')) {
+            throw new Error(`Invalid base package '${basePackage}'. Use a lowercase dotted name, e.g. com.example.orders`);
+        }
+        if (!(buildTool in BUILD_TOOLS)) {
+            throw new Error(`Invalid build tool '${buildTool}'. Valid build tools are: ${Object.keys(BUILD_TOOLS).join(', ')}`);
+        }
+        if (!JAVA_VERSIONS.includes(String(javaVersion))) {
+            throw new Error(`Invalid Java version '${javaVersion}'. Valid versions are: ${JAVA_VERSIONS.join(', ')}`);
+        }
+        if (!(architecture in ARCHITECTURE_PRESETS)) {
+            throw new Error(`Invalid preset '${architecture}'. Valid presets are: ${Object.keys(ARCHITECTURE_PRESETS).join(', ')}`);
+        }
+
+        const invalid = starters.filter(starter => !(starter in STARTERS));
+        if (invalid.length > 0) {
+            throw new Error(`Invalid starter(s): ${invalid.join(', ')}. Valid starters are: ${Object.keys(STARTERS).join(', ')}`);
+        }
+
+        const databases = starters.filter(starter => starter in DATABASES);
+        if (databases.length > 1) {
+            throw new Error(`Choose a single database driver, got: ${databases.join(', ')}`);
+        }
+
+        return { ...options, javaVersion: String(javaVersion), starters, architecture };
+    }
+
+    buildTemplateData(settings) {
+        const { group, artifact, basePackage, buildTool, javaVersion, starters } = settings;
+        const selected = Object.keys(STARTERS).filter(starter => starters.includes(starter));
+
+        // Maven reads pinned versions from <properties>, Boot's parent manages the rest
+        const withMavenVersion = entry => ({
+            ...entry,
+            mavenVersion: entry.versionProperty ? `\${${entry.versionProperty}}` : null
+        });
+
+        const dependencies = selected
+            .flatMap(starter => STARTERS[starter].dependencies)
+            .map(dependency => withMavenVersion({ ...dependency, ...MAVEN_SCOPES[dependency.configuration] }));
+
+        // Lombok has to run before MapStruct, which needs the binding to see the generated accessors
+        const processors = selected.flatMap(starter => STARTERS[starter].processors || []).map(withMavenVersion);
+        if (selected.includes('lombok') && selected.includes('mapstruct')) {
+            processors.push(withMavenVersion({
+                group: 'org.projectlombok',
+                artifact: 'lombok-mapstruct-binding',
+                version: LOMBOK_MAPSTRUCT_BINDING_VERSION,
+                versionProperty: 'lombok-mapstruct-binding.version'
+            }));
+        }
+
+        const database = selected.find(starter => starter in DATABASES);
+        const datasource = database && selected.includes('data-jpa')
+            ? DATABASES[database](artifact.replace(/[^a-z0-9]/g, '_'))
+            : null;
+
+        const applicationName = `${artifact
+            .split(/[-_.]/)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join('')}Application`;
+
+        return {
+            group,
+            artifact,
+            basePackage,
+            buildTool,
+            javaVersion,
+            applicationName,
+            springBootVersion: SPRING_BOOT_VERSION,
+            dependencyManagementVersion: DEPENDENCY_MANAGEMENT_VERSION,
+            gradleVersion: GRADLE_VERSION,
+            mavenVersion: MAVEN_VERSION,
+            dependencies,
+            processors,
+            versionProperties: [...new Map([...dependencies, ...processors]
+                .filter(entry => entry.versionProperty && entry.version)
+                .map(entry => [entry.versionProperty, { name: entry.versionProperty, version: entry.version }])).values()],
+            hasProcessors: processors.length > 0,
+            datasource,
+            h2Console: datasource !== null && database === 'h2'
+        };
+    }
+
+    // The project configuration starts from the defaults and follows the chosen starters and architecture preset
+    async buildConfig(settings) {
+        const config = await new ConfigManager().getDefaultConfig();
+
+        config.language = 'java';
+        config.mapperPreferences.type = settings.starters.includes('mapstruct') ? 'mapstruct' : 'manual';
+        config.dtoPreferences.useLombok = settings.starters.includes('lombok');
+
+        return applyPreset(config, settings.architecture);
+    }
+}
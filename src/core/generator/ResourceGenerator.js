@@ -1,13 +1,55 @@
-import fs from 'fs-extra';
 import path from 'path';
 import { TemplateEngine } from './TemplateEngine.js';
+import { FieldSpecParser, FIELD_TYPES } from './FieldSpecParser.js';
+import { findAnnotation, findIdField, hasAnnotation } from '../parser/JavaParser.js';
+import { SourceParser, SOURCE_EXTENSIONS, resolveLanguage } from '../parser/SourceParser.js';
+import { VirtualFileSystem } from '../filesystem/VirtualFileSystem.js';
+import { ModuleLayout, DTO_LAYERS, sourcePackage } from '../config/ModuleLayout.js';
+import { ResourceNaming } from '../config/ResourceNaming.js';
 import { Logger } from '../../utils/Logger.js';
 
+export const SERVICE_OPERATIONS = ['getAll', 'getById', 'create', 'update', 'patch', 'delete'];
+
+// Java wrapper types whose Kotlin name differs
+const KOTLIN_TYPES = {
+    Integer: 'Int',
+    Character: 'Char'
+};
+
+const BOXED_TYPES = {
+    boolean: 'Boolean',
+    byte: 'Byte',
+    short: 'Short',
+    int: 'Integer',
+    long: 'Long',
+    char: 'Character',
+    float: 'Float',
+    double: 'Double'
+};
+
+// Types a source file uses without importing them
+const IMPLICIT_TYPES = {
+    java: new Set([
+        ...Object.keys(BOXED_TYPES), ...Object.values(BOXED_TYPES), 'String', 'Object', 'Number', 'CharSequence'
+    ]),
+    kotlin: new Set([
+        'Boolean', 'Byte', 'Short', 'Int', 'Long', 'Char', 'Float', 'Double', 'String', 'Any', 'Number', 'CharSequence',
+        'Array', 'Collection', 'List', 'Set', 'Map', 'MutableCollection', 'MutableList', 'MutableSet', 'MutableMap'
+    ])
+};
+
 export class ResourceGenerator {
-    constructor(projectStructure, config, verbose = false) {
+    constructor(projectStructure, config, verbose = false, fileSystem = new VirtualFileSystem()) {
         this.projectStructure = projectStructure;
         this.config = config;
-        this.templateEngine = new TemplateEngine();
+        this.fileSystem = fileSystem;
+        this.language = resolveLanguage(config.language, projectStructure.language);
+        this.extension = SOURCE_EXTENSIONS[this.language];
+        this.templateEngine = new TemplateEngine(config.templates, this.language, config.architecture);
+        this.layout = new ModuleLayout(config, this.language);
+        this.naming = new ResourceNaming(config);
+        this.fieldSpecParser = new FieldSpecParser();
+        this.sourceParser = new SourceParser();
         this.logger = new Logger();
         this.verbose = verbose;
     }
@@ -28,11 +70,30 @@ export class ResourceGenerator {
                 return await this.generateService(name, module, options);
             case 'controller':
                 return await this.generateController(name, module, options);
+            case 'dto':
+                return await this.generateDto(name, module, options);
+            case 'mapper':
+                return await this.generateMapper(name, module, options);
+            case 'enum':
+                return await this.generateEnum(name, module, options);
             default:
                 throw new Error(`Resource type '${type}' not implemented yet`);
         }
     }
 
+    moduleBasePath(moduleName) {
+        return path.join(
+            this.projectStructure.sourcePath,
+            this.projectStructure.basePackage.split('.').join(path.sep),
+            moduleName
+        );
+    }
+
+    // Where a resource file goes according to moduleStructure.layout
+    resourcePath(moduleName, type, className, layer) {
+        return path.join(this.layout.directory(this.moduleBasePath(moduleName), type, layer), `${className}${this.extension}`);
+    }
+
     async generateController(resourceDetails, moduleName, options) {
         const { name, isEntityBased } = resourceDetails;
 
@@ -45,58 +106,37 @@ export class ResourceGenerator {
 
     async generateEntityBasedController(entityName, moduleName, options) {
         // Verify entity and service exist
-        const servicePath = path.join(
-            this.projectStructure.sourcePath,
-            this.projectStructure.basePackage.split('.').join(path.sep),
-            moduleName,
-            'application',
-            'services',
-            `${entityName}Service.java`
-        );
+        const servicePath = this.resourcePath(moduleName, 'service', this.naming.className('service', entityName));
 
-        if (!await fs.pathExists(servicePath)) {
+        if (!await this.fileSystem.pathExists(servicePath)) {
             throw new Error(`Service for ${entityName} not found in module ${moduleName}. Create the service first.`);
         }
 
         // Read entity file to determine ID type
-        const entityPath = path.join(
-            this.projectStructure.sourcePath,
-            this.projectStructure.basePackage.split('.').join(path.sep),
-            moduleName,
-            'domain',
-            'entities',
-            `${entityName}.java`
-        );
+        const entityPath = this.resourcePath(moduleName, 'entity', entityName);
 
-        const entityContent = await fs.readFile(entityPath, 'utf-8');
-        const isUUID = entityContent.includes('UUID');
-        const idType = isUUID ? 'UUID' : 'Long';
+        const { idType, isUUID } = await this.readEntityIdType(entityPath);
 
-        const moduleBasePath = path.join(
-            this.projectStructure.sourcePath,
-            this.projectStructure.basePackage.split('.').join(path.sep),
-            moduleName
-        );
-
-        const controllerPath = path.join(
-            moduleBasePath,
-            'infrastructure',
-            'controllers',
-            `${entityName}Controller.java`
-        );
+        const controllerPath = this.resourcePath(moduleName, 'controller', this.naming.className('controller', entityName));
 
         const templateData = {
             basePackage: this.projectStructure.basePackage,
             module: moduleName,
+            packages: this.layout.packages(this.projectStructure.basePackage, moduleName),
+            names: this.naming.names(entityName),
             entityName,
             idType,
-            isUUID
+            isUUID,
+            operations: this.resolveServiceOperations()
         };
 
-        const content = await this.templateEngine.generateFromTemplate('controller', templateData);
+        const dtoMode = await this.resolveDtoMode(entityName, moduleName, templateData.operations);
+        Object.assign(templateData, dtoMode);
 
-        await fs.ensureDir(path.dirname(controllerPath));
-        await fs.writeFile(controllerPath, content);
+        const content = await this.templateEngine.generateFromTemplate(dtoMode ? 'dto-controller' : 'controller', templateData);
+
+        await this.fileSystem.ensureDir(path.dirname(controllerPath));
+        await this.fileSystem.writeFile(controllerPath, content);
 
         return {
             createdFiles: [controllerPath]
@@ -104,32 +144,23 @@ export class ResourceGenerator {
     }
 
     async generateStandaloneController(controllerName, moduleName, options) {
-        // Remove 'Controller' suffix if present for consistency
-        const baseName = controllerName.replace('Controller', '');
+        // Remove the controller suffix if present for consistency
+        const baseName = this.naming.baseName('controller', controllerName);
 
-        const moduleBasePath = path.join(
-            this.projectStructure.sourcePath,
-            this.projectStructure.basePackage.split('.').join(path.sep),
-            moduleName
-        );
-
-        const controllerPath = path.join(
-            moduleBasePath,
-            'infrastructure',
-            'controllers',
-            `${baseName}Controller.java`
-        );
+        const controllerPath = this.resourcePath(moduleName, 'controller', this.naming.className('controller', baseName));
 
         const templateData = {
             basePackage: this.projectStructure.basePackage,
             module: moduleName,
+            packages: this.layout.packages(this.projectStructure.basePackage, moduleName),
+            names: this.naming.names(baseName),
             controllerName: baseName
         };
 
         const content = await this.templateEngine.generateFromTemplate('standalone-controller', templateData);
 
-        await fs.ensureDir(path.dirname(controllerPath));
-        await fs.writeFile(controllerPath, content);
+        await this.fileSystem.ensureDir(path.dirname(controllerPath));
+        await this.fileSystem.writeFile(controllerPath, content);
 
         return {
             createdFiles: [controllerPath]
@@ -148,127 +179,259 @@ export class ResourceGenerator {
 
     async generateEntityBasedService(name, moduleName) {
         // Verify entity and repository exist
-        const entityName = name.replace('Service', '');
-        const entityPath = path.join(
-            this.projectStructure.sourcePath,
-            this.projectStructure.basePackage.split('.').join(path.sep),
-            moduleName,
-            'domain',
-            'entities',
-            `${entityName}.java`
-        );
+        const entityName = this.naming.baseName('service', name);
+        const entityPath = this.resourcePath(moduleName, 'entity', entityName);
 
-        const repositoryPath = path.join(
-            this.projectStructure.sourcePath,
-            this.projectStructure.basePackage.split('.').join(path.sep),
-            moduleName,
-            'infrastructure',
-            'repositories',
-            `${entityName}Repository.java`
-        );
+        const repositoryPath = this.resourcePath(moduleName, 'repository', this.naming.className('repository', entityName));
 
-        if (!await fs.pathExists(entityPath)) {
+        if (!await this.fileSystem.pathExists(entityPath)) {
             throw new Error(`Entity ${entityName} not found in module ${moduleName}. Create the entity first.`);
         }
 
-        if (!await fs.pathExists(repositoryPath)) {
+        if (!await this.fileSystem.pathExists(repositoryPath)) {
             throw new Error(`Repository for ${entityName} not found in module ${moduleName}. Create the repository first.`);
         }
 
         // Read entity file to determine ID type
-        const entityContent = await fs.readFile(entityPath, 'utf-8');
-        const isUUID = entityContent.includes('UUID');
-        const idType = isUUID ? 'UUID' : 'Long';
-
-        const moduleBasePath = path.join(
-            this.projectStructure.sourcePath,
-            this.projectStructure.basePackage.split('.').join(path.sep),
-            moduleName
-        );
+        const { idType, isUUID } = await this.readEntityIdType(entityPath);
 
         const templateData = {
             basePackage: this.projectStructure.basePackage,
             module: moduleName,
+            packages: this.layout.packages(this.projectStructure.basePackage, moduleName),
+            names: this.naming.names(entityName),
             entityName,
             idType,
             isUUID,
-            useTransactional: this.config.servicePreferences?.useTransactional ?? true
+            useTransactional: this.config.servicePreferences?.useTransactional ?? true,
+            operations: this.resolveServiceOperations()
         };
 
+        const dtoMode = await this.resolveDtoMode(entityName, moduleName, templateData.operations);
+        Object.assign(templateData, dtoMode);
+
         // Generate interface
-        const servicePath = path.join(
-            moduleBasePath,
-            'application',
-            'services',
-            `${entityName}Service.java`
-        );
+        const servicePath = this.resourcePath(moduleName, 'service', this.naming.className('service', entityName));
 
-        const serviceContent = await this.templateEngine.generateFromTemplate('service', templateData);
+        const serviceContent = await this.templateEngine.generateFromTemplate(dtoMode ? 'dto-service' : 'service', templateData);
 
         // Generate implementation
-        const serviceImplPath = path.join(
-            moduleBasePath,
-            'application',
-            'services',
-            'implementations',
-            `${entityName}ServiceImpl.java`
-        );
+        const serviceImplPath = this.resourcePath(moduleName, 'serviceImpl', this.naming.className('serviceImpl', entityName));
 
-        const serviceImplContent = await this.templateEngine.generateFromTemplate('service-impl', templateData);
+        const serviceImplContent = await this.templateEngine.generateFromTemplate(dtoMode ? 'dto-service-impl' : 'service-impl', templateData);
 
-        await fs.ensureDir(path.dirname(servicePath));
-        await fs.writeFile(servicePath, serviceContent);
+        await this.fileSystem.ensureDir(path.dirname(servicePath));
+        await this.fileSystem.writeFile(servicePath, serviceContent);
 
-        await fs.ensureDir(path.dirname(serviceImplPath));
-        await fs.writeFile(serviceImplPath, serviceImplContent);
+        await this.fileSystem.ensureDir(path.dirname(serviceImplPath));
+        await this.fileSystem.writeFile(serviceImplPath, serviceImplContent);
 
         return {
             createdFiles: [servicePath, serviceImplPath]
         };
     }
 
-    async generateStandaloneService(serviceName, moduleName, options) {
-        const moduleBasePath = path.join(
-            this.projectStructure.sourcePath,
-            this.projectStructure.basePackage.split('.').join(path.sep),
-            moduleName
-        );
+    async readEntityIdType(entityPath) {
+        const parsed = this.sourceParser.parse(await this.fileSystem.readFile(entityPath, 'utf-8'), entityPath);
+        let idField = findIdField(parsed.type);
+
+        // The id may be inherited from a @MappedSuperclass in the project
+        let current = parsed;
+        let currentPath = entityPath;
+        while (!idField && current.type?.superclass) {
+            const superclassName = current.type.superclass.replace(/<.*$/, '');
+            const superclassPath = this.resolveTypePath(superclassName, current, currentPath);
+            if (!superclassPath || !await this.fileSystem.pathExists(superclassPath)) {
+                break;
+            }
+            currentPath = superclassPath;
+            current = this.sourceParser.parse(await this.fileSystem.readFile(superclassPath, 'utf-8'), superclassPath);
+            idField = findIdField(current.type);
+        }
+
+        if (!idField) {
+            this.logger.warn(`No @Id field found for ${path.basename(entityPath, path.extname(entityPath))}, using Long`);
+            return { idType: 'Long', isUUID: false };
+        }
+
+        // Kotlin ids are nullable until persisted
+        const declaredType = idField.type.replace(/\?$/, '');
+        const boxedType = BOXED_TYPES[declaredType] || declaredType;
+        const idType = this.language === 'kotlin' ? KOTLIN_TYPES[boxedType] || boxedType : boxedType;
+
+        return {
+            idType,
+            isUUID: idType === 'UUID'
+        };
+    }
+
+    // The entity's own fields as DTO properties, with the imports their types need
+    async readDtoFields(entityPath) {
+        const parsed = this.sourceParser.parse(await this.fileSystem.readFile(entityPath, 'utf-8'), entityPath);
+        const fields = (parsed.type?.fields || []).filter(isDtoField);
+        const implicitTypes = IMPLICIT_TYPES[this.sourceParser.isKotlin(entityPath) ? 'kotlin' : 'java'];
+
+        const imports = new Set();
+        let unresolved = false;
+        for (const field of fields) {
+            // Qualified names need no import
+            const typeNames = field.type.match(/(?<![\w$.])[A-Za-z_$][\w$]*(?![\w$]*\.)/g) || [];
+            for (const typeName of typeNames.filter(name => !implicitTypes.has(name))) {
+                const imported = await this.resolveTypeImport(typeName, parsed, entityPath);
+                if (imported) {
+                    imports.add(imported);
+                } else {
+                    unresolved = true;
+                }
+            }
+        }
+
+        // Whatever no explicit import or sibling file declares comes from the entity's own wildcard imports
+        if (unresolved) {
+            parsed.imports
+                .filter(imp => !imp.isStatic && imp.name.endsWith('.*') && !/^(lombok|jakarta\.persistence|javax\.persistence)\./.test(imp.name))
+                .forEach(imp => imports.add(imp.name));
+        }
+
+        return {
+            dtoFields: fields.map(field => this.dtoField(field)),
+            fieldImports: [...imports].sort()
+        };
+    }
+
+    async resolveTypeImport(typeName, parsed, filePath) {
+        const imported = parsed.imports.find(imp => !imp.isStatic && imp.name.endsWith(`.${typeName}`));
+        if (imported) {
+            return imported.name;
+        }
+
+        // Types next to the entity, in either language
+        for (const extension of Object.values(SOURCE_EXTENSIONS)) {
+            if (parsed.packageName && await this.fileSystem.pathExists(path.join(path.dirname(filePath), `${typeName}${extension}`))) {
+                return `${parsed.packageName}.${typeName}`;
+            }
+        }
+        return null;
+    }
+
+    // DTO properties are nullable, a missing value is left to validation
+    dtoField(field) {
+        const pascalName = field.name.charAt(0).toUpperCase() + field.name.slice(1);
+        return {
+            name: field.name,
+            type: this.language === 'kotlin'
+                ? field.type.replace(/\??$/, '?')
+                : BOXED_TYPES[field.type] || field.type,
+            getter: `get${pascalName}`,
+            setter: `set${pascalName}`
+        };
+    }
+
+    resolveTypePath(typeName, parsed, filePath) {
+        // Qualified names and explicit imports win, otherwise assume the same package
+        const qualified = typeName.includes('.')
+            ? typeName
+            : parsed.imports.find(imp => !imp.isStatic && imp.name.endsWith(`.${typeName}`))?.name;
+
+        if (qualified) {
+            return path.join(this.projectStructure.sourcePath, ...qualified.split('.')) + this.extension;
+        }
+        return path.join(path.dirname(filePath), `${typeName}${this.extension}`);
+    }
+
+    async resolveDtoMode(entityName, moduleName, operations) {
+        const mapperPath = this.resourcePath(moduleName, 'mapper', this.naming.className('mapper', entityName));
+
+        const dtos = await this.findEntityDtos(entityName, moduleName);
+        const createDto = dtos.find(dto => dto.kind === 'Create');
+        const responseDto = dtos.find(dto => dto.kind === 'Response');
+        const updateDto = dtos.find(dto => dto.kind === 'Update');
+
+        // Without both DTOs and a mapper the resource keeps speaking entities
+        if (!createDto || !responseDto || !await this.fileSystem.pathExists(mapperPath)) {
+            if (this.verbose) {
+                this.logger.info(`No Create/Response DTOs and ${this.naming.className('mapper', entityName)} for ${entityName}, exposing the entity directly`);
+            }
+            return null;
+        }
+
+        const mapper = this.sourceParser.parse(await this.fileSystem.readFile(mapperPath, 'utf-8'), mapperPath);
+        const writes = operations.update || operations.patch;
+        const inputDto = updateDto || createDto;
+
+        const usedDtos = new Set([responseDto]);
+        if (operations.create) usedDtos.add(createDto);
+        if (writes) usedDtos.add(inputDto);
+
+        if (this.verbose) {
+            this.logger.info(`Using DTOs through ${this.naming.className('mapper', entityName)}: ${[...usedDtos].map(dto => dto.className).join(', ')}`);
+        }
+
+        return {
+            createDto,
+            responseDto,
+            updateDto,
+            inputDto,
+            dtoImports: [...usedDtos]
+                .map(dto => `${dto.package}.${dto.className}`)
+                .sort(),
+            mapperStatic: mapper.type?.fields.some(field => field.name === 'INSTANCE') ?? false,
+            copiesProperties: !updateDto && writes,
+            patchesProperties: !updateDto && operations.patch
+        };
+    }
 
-        // Remove 'Service' suffix for interface name but keep it for implementation
-        const baseServiceName = serviceName.replace('Service', '');
+    resolveServiceOperations() {
+        const operations = this.config.servicePreferences?.operations || SERVICE_OPERATIONS;
+
+        const invalid = operations.filter(operation => !SERVICE_OPERATIONS.includes(operation));
+        if (invalid.length > 0) {
+            throw new Error(`Invalid service operation(s): ${invalid.join(', ')}. Valid operations are: ${SERVICE_OPERATIONS.join(', ')}`);
+        }
+        if (operations.length === 0) {
+            throw new Error('servicePreferences.operations must contain at least one operation');
+        }
+
+        const enabled = Object.fromEntries(SERVICE_OPERATIONS.map(operation => [operation, operations.includes(operation)]));
+
+        // Derived flags keep the templates free of import bookkeeping
+        return {
+            ...enabled,
+            usesGet: enabled.getAll || enabled.getById,
+            usesId: enabled.getById || enabled.update || enabled.patch || enabled.delete,
+            readsBody: enabled.create || enabled.update || enabled.patch,
+            returnsOptional: enabled.getById || enabled.update || enabled.patch,
+            copiesProperties: enabled.update || enabled.patch
+        };
+    }
+
+    async generateStandaloneService(serviceName, moduleName, options) {
+        // Remove the service suffix, the interface and implementation names add their own
+        const baseServiceName = this.naming.baseName('service', serviceName);
 
         const templateData = {
             basePackage: this.projectStructure.basePackage,
             module: moduleName,
+            packages: this.layout.packages(this.projectStructure.basePackage, moduleName),
+            names: this.naming.names(baseServiceName),
             serviceName: baseServiceName,
             useTransactional: this.config.servicePreferences?.useTransactional ?? true
         };
 
         // Generate interface
-        const servicePath = path.join(
-            moduleBasePath,
-            'application',
-            'services',
-            `${baseServiceName}Service.java`
-        );
+        const servicePath = this.resourcePath(moduleName, 'service', this.naming.className('service', baseServiceName));
 
         // Generate implementation
-        const serviceImplPath = path.join(
-            moduleBasePath,
-            'application',
-            'services',
-            'implementations',
-            `${baseServiceName}ServiceImpl.java`
-        );
+        const serviceImplPath = this.resourcePath(moduleName, 'serviceImpl', this.naming.className('serviceImpl', baseServiceName));
 
         const serviceContent = await this.templateEngine.generateFromTemplate('standalone-service', templateData);
         const serviceImplContent = await this.templateEngine.generateFromTemplate('standalone-service-impl', templateData);
 
-        await fs.ensureDir(path.dirname(servicePath));
-        await fs.writeFile(servicePath, serviceContent);
+        await this.fileSystem.ensureDir(path.dirname(servicePath));
+        await this.fileSystem.writeFile(servicePath, serviceContent);
 
-        await fs.ensureDir(path.dirname(serviceImplPath));
-        await fs.writeFile(serviceImplPath, serviceImplContent);
+        await this.fileSystem.ensureDir(path.dirname(serviceImplPath));
+        await this.fileSystem.writeFile(serviceImplPath, serviceImplContent);
 
         return {
             createdFiles: [servicePath, serviceImplPath]
@@ -277,37 +440,17 @@ export class ResourceGenerator {
 
     async generateRepository(name, moduleName) {
         // Verify entity exists
-        const entityName = name.replace('Repository', '');
-        const entityPath = path.join(
-            this.projectStructure.sourcePath,
-            this.projectStructure.basePackage.split('.').join(path.sep),
-            moduleName,
-            'domain',
-            'entities',
-            `${entityName}.java`
-        );
+        const entityName = this.naming.baseName('repository', name);
+        const entityPath = this.resourcePath(moduleName, 'entity', entityName);
 
-        if (!await fs.pathExists(entityPath)) {
+        if (!await this.fileSystem.pathExists(entityPath)) {
             throw new Error(`Entity ${entityName} not found in module ${moduleName}. Create the entity first.`);
         }
 
         // Read entity file to determine ID type
-        const entityContent = await fs.readFile(entityPath, 'utf-8');
-        const isUUID = entityContent.includes('UUID');
-        const idType = isUUID ? 'UUID' : 'Long';
-
-        const moduleBasePath = path.join(
-            this.projectStructure.sourcePath,
-            this.projectStructure.basePackage.split('.').join(path.sep),
-            moduleName
-        );
+        const { idType, isUUID } = await this.readEntityIdType(entityPath);
 
-        const repositoryPath = path.join(
-            moduleBasePath,
-            'infrastructure',
-            'repositories',
-            `${entityName}Repository.java`
-        );
+        const repositoryPath = this.resourcePath(moduleName, 'repository', this.naming.className('repository', entityName));
 
         if (this.verbose) {
             this.logger.info(`Creating repository for entity: ${entityName}`);
@@ -317,59 +460,752 @@ export class ResourceGenerator {
         const templateData = {
             basePackage: this.projectStructure.basePackage,
             module: moduleName,
+            packages: this.layout.packages(this.projectStructure.basePackage, moduleName),
+            names: this.naming.names(entityName),
             entityName,
             idType,
             isUUID
         };
 
+        // A layout with a repository adapter keeps Spring Data out of the repository, which becomes a port
+        if (this.layout.has('repositoryAdapter')) {
+            return await this.generateRepositoryPort(moduleName, repositoryPath, templateData);
+        }
+
         const content = await this.templateEngine.generateFromTemplate('repository', templateData);
 
-        await fs.ensureDir(path.dirname(repositoryPath));
-        await fs.writeFile(repositoryPath, content);
+        await this.fileSystem.ensureDir(path.dirname(repositoryPath));
+        await this.fileSystem.writeFile(repositoryPath, content);
 
         return {
             createdFiles: [repositoryPath]
         };
     }
 
+    async generateRepositoryPort(moduleName, portPath, templateData) {
+        const { names } = templateData;
+        const files = [
+            { path: portPath, template: 'repository-port' },
+            { path: this.resourcePath(moduleName, 'repositoryAdapter', names.repositoryAdapter), template: 'repository-adapter' },
+            { path: this.resourcePath(moduleName, 'repositoryAdapter', names.jpaRepository), template: 'jpa-repository' }
+        ];
+
+        if (this.verbose) {
+            this.logger.info(`Implementing ${names.repository} with ${names.repositoryAdapter} over ${names.jpaRepository}`);
+        }
+
+        for (const file of files) {
+            const content = await this.templateEngine.generateFromTemplate(file.template, templateData);
+            await this.fileSystem.ensureDir(path.dirname(file.path));
+            await this.fileSystem.writeFile(file.path, content);
+        }
+
+        return {
+            createdFiles: files.map(file => file.path)
+        };
+    }
+
     async generateEntity(name, moduleName, options) {
         const idType = options.idType?.toUpperCase() ||
             this.config.entityPreferences?.defaultIdType ||
             'UUID';
 
-        const moduleBasePath = path.join(
-            this.projectStructure.sourcePath,
-            this.projectStructure.basePackage.split('.').join(path.sep),
-            moduleName
-        );
-
         const pascalName = name
             .split(' ')
             .map(word => word.charAt(0).toUpperCase() + word.slice(1))
             .join('');
 
-        const entityPath = path.join(moduleBasePath, 'domain', 'entities', `${pascalName}.java`);
+        const entityPath = this.resourcePath(moduleName, 'entity', pascalName);
+
+        const entityPackage = this.layout.packageName(this.projectStructure.basePackage, moduleName, 'entity');
+        const context = {
+            moduleName,
+            entityName: pascalName,
+            entityPackage,
+            knownEntities: { [pascalName]: entityPackage },
+            language: this.language,
+            useLombok: this.language === 'java'
+        };
+
+        const fields = this.fieldSpecParser.parse(options.fields);
+
+        // Self references keep both sides in the entity being generated
+        for (const field of fields.filter(f => f.inverse && f.target === pascalName)) {
+            const inverseField = this.buildInverseField(field, pascalName);
+            if (fields.some(f => f.name === inverseField.name)) {
+                throw new Error(`Field '${inverseField.name}' is defined more than once`);
+            }
+            fields.push(inverseField);
+        }
+
+        const { entityFields, persistenceImports, javaImports } = this.buildEntityFields(fields, context);
+
+        if (idType === 'UUID' && !javaImports.includes('java.util.UUID')) {
+            javaImports.push('java.util.UUID');
+            javaImports.sort();
+        }
+
+        // Prepare inverse sides first so a clash leaves every file untouched
+        const inverseEdits = [];
+        for (const field of fields.filter(f => f.inverse && f.target !== pascalName)) {
+            inverseEdits.push(await this.prepareInverseField(field, context));
+        }
 
         const templateData = {
             basePackage: this.projectStructure.basePackage,
             module: moduleName,
+            packages: this.layout.packages(this.projectStructure.basePackage, moduleName),
             name: name,
             idType: idType === 'UUID' ? 'UUID' : 'Long',
             idGenerationType: idType === 'UUID' ? 'UUID' : 'IDENTITY',
-            isUUID: idType === 'UUID'
+            isUUID: idType === 'UUID',
+            fields: entityFields,
+            persistenceImports,
+            javaImports
         };
 
         if (this.verbose) {
             this.logger.info(`Using ID type: ${idType}`);
+            if (fields.length > 0) {
+                this.logger.info(`Using fields: ${fields.map(field => `${field.name} (${field.type || `${field.relation} ${field.target}`})`).join(', ')}`);
+            }
         }
 
         const content = await this.templateEngine.generateFromTemplate('entity', templateData);
 
-        await fs.ensureDir(path.dirname(entityPath));
-        await fs.writeFile(entityPath, content);
+        await this.fileSystem.ensureDir(path.dirname(entityPath));
+        await this.fileSystem.writeFile(entityPath, content);
+
+        for (const edit of inverseEdits) {
+            await this.fileSystem.writeFile(edit.path, edit.content, { update: true });
+
+            if (this.verbose) {
+                this.logger.info(`Added inverse side to: ${edit.path}`);
+            }
+        }
+
+        return {
+            createdFiles: [entityPath],
+            modifiedFiles: inverseEdits.map(edit => edit.path)
+        };
+    }
+
+    buildEntityFields(fields, context) {
+        const persistenceImports = new Set();
+        const javaImports = new Set();
+
+        const entityFields = fields.map(field => {
+            if (field.relation) {
+                return this.buildRelationField(field, context, persistenceImports, javaImports);
+            }
+
+            const annotations = [];
+
+            if (field.type in FIELD_TYPES) {
+                if (FIELD_TYPES[field.type]) {
+                    javaImports.add(FIELD_TYPES[field.type]);
+                }
+            } else {
+                const enumResource = this.findResource('enum', field.type, context.moduleName);
+                if (!enumResource) {
+                    throw new Error(`Unknown type '${field.type}' for field '${field.name}'. Supported types: ${Object.keys(FIELD_TYPES).join(', ')} or an existing enum`);
+                }
+                if (enumResource.package !== context.entityPackage) {
+                    javaImports.add(`${enumResource.package}.${field.type}`);
+                }
+                persistenceImports.add('jakarta.persistence.Enumerated');
+                persistenceImports.add('jakarta.persistence.EnumType');
+                annotations.push('@Enumerated(EnumType.STRING)');
+            }
+
+            const columnAttributes = [];
+            if (!field.nullable) columnAttributes.push('nullable = false');
+            if (field.length) columnAttributes.push(`length = ${field.length}`);
+            if (field.precision) columnAttributes.push(`precision = ${field.precision}`);
+            if (field.scale !== null) columnAttributes.push(`scale = ${field.scale}`);
+            if (field.unique) columnAttributes.push('unique = true');
+
+            if (columnAttributes.length > 0) {
+                persistenceImports.add('jakarta.persistence.Column');
+                annotations.push(`@Column(${columnAttributes.join(', ')})`);
+            }
+
+            if (context.language === 'kotlin') {
+                return {
+                    name: field.name,
+                    type: `${KOTLIN_TYPES[field.type] || field.type}?`,
+                    initializer: ' = null',
+                    annotations
+                };
+            }
+
+            return {
+                name: field.name,
+                type: field.type,
+                initializer: '',
+                annotations
+            };
+        });
+
+        return {
+            entityFields,
+            persistenceImports: [...persistenceImports].sort(),
+            javaImports: [...javaImports].sort()
+        };
+    }
+
+    buildRelationField(field, context, persistenceImports, javaImports) {
+        const { name, relation, target, mappedBy, nullable } = field;
+
+        const targetPackage = context.knownEntities[target] ??
+            this.findResource('entity', target, context.moduleName)?.package;
+        if (!targetPackage) {
+            throw new Error(`Entity '${target}' for field '${name}' not found in any module. Create it first.`);
+        }
+        if (targetPackage !== context.entityPackage) {
+            javaImports.add(`${targetPackage}.${target}`);
+        }
+
+        const toColumnName = (str) => str.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+        const isKotlin = context.language === 'kotlin';
+        const annotations = [];
+        let type = isKotlin ? `${target}?` : target;
+        let initializer = isKotlin ? ' = null' : '';
+
+        persistenceImports.add(`jakarta.persistence.${relation}`);
+
+        switch (relation) {
+            case 'ManyToOne':
+                persistenceImports.add('jakarta.persistence.FetchType');
+                persistenceImports.add('jakarta.persistence.JoinColumn');
+                annotations.push(`@ManyToOne(fetch = FetchType.LAZY${nullable ? '' : ', optional = false'})`);
+                annotations.push(`@JoinColumn(name = "${toColumnName(name)}_id"${nullable ? '' : ', nullable = false'})`);
+                break;
+            case 'OneToOne':
+                if (mappedBy) {
+                    annotations.push(`@OneToOne(mappedBy = "${mappedBy}")`);
+                } else {
+                    persistenceImports.add('jakarta.persistence.FetchType');
+                    persistenceImports.add('jakarta.persistence.JoinColumn');
+                    annotations.push(`@OneToOne(fetch = FetchType.LAZY${nullable ? '' : ', optional = false'})`);
+                    annotations.push(`@JoinColumn(name = "${toColumnName(name)}_id", unique = true${nullable ? '' : ', nullable = false'})`);
+                }
+                break;
+            case 'OneToMany':
+                if (mappedBy && field.cascade === false) {
+                    annotations.push(`@OneToMany(mappedBy = "${mappedBy}")`);
+                } else if (mappedBy) {
+                    persistenceImports.add('jakarta.persistence.CascadeType');
+                    annotations.push(`@OneToMany(mappedBy = "${mappedBy}", cascade = CascadeType.ALL, orphanRemoval = true)`);
+                } else {
+                    // Unidirectional: the foreign key lives in the target table
+                    persistenceImports.add('jakarta.persistence.CascadeType');
+                    persistenceImports.add('jakarta.persistence.JoinColumn');
+                    annotations.push('@OneToMany(cascade = CascadeType.ALL, orphanRemoval = true)');
+                    annotations.push(`@JoinColumn(name = "${toColumnName(context.entityName)}_id")`);
+                }
+                if (isKotlin) {
+                    type = `MutableList<${target}>`;
+                    initializer = ' = mutableListOf()';
+                    break;
+                }
+                javaImports.add('java.util.List');
+                javaImports.add('java.util.ArrayList');
+                type = `List<${target}>`;
+                initializer = ' = new ArrayList<>()';
+                break;
+            case 'ManyToMany':
+                if (mappedBy) {
+                    annotations.push(`@ManyToMany(mappedBy = "${mappedBy}")`);
+                } else {
+                    persistenceImports.add('jakarta.persistence.JoinColumn');
+                    persistenceImports.add('jakarta.persistence.JoinTable');
+                    // Kotlin passes annotation arrays with [...] instead of a bare value
+                    const joinColumns = (columnName) => isKotlin
+                        ? `[JoinColumn(name = "${columnName}")]`
+                        : `@JoinColumn(name = "${columnName}")`;
+                    annotations.push('@ManyToMany');
+                    annotations.push(
+                        `@JoinTable(name = "${toColumnName(context.entityName)}_${toColumnName(name)}", ` +
+                        `joinColumns = ${joinColumns(`${toColumnName(context.entityName)}_id`)}, ` +
+                        `inverseJoinColumns = ${joinColumns(`${toColumnName(target)}_id`)})`
+                    );
+                }
+                if (isKotlin) {
+                    type = `MutableSet<${target}>`;
+                    initializer = ' = mutableSetOf()';
+                    break;
+                }
+                javaImports.add('java.util.Set');
+                javaImports.add('java.util.HashSet');
+                type = `Set<${target}>`;
+                initializer = ' = new HashSet<>()';
+                break;
+        }
+
+        // Keep Lombok's @Data from recursing through bidirectional associations
+        if (context.useLombok) {
+            annotations.push('@ToString.Exclude', '@EqualsAndHashCode.Exclude');
+        }
+
+        return {
+            name,
+            type,
+            initializer,
+            annotations
+        };
+    }
+
+    buildInverseField(field, entityName) {
+        const { name, relation, mappedBy, inverse } = field;
+        const singular = entityName.charAt(0).toLowerCase() + entityName.slice(1);
+        const inverseName = typeof inverse === 'string' ? inverse : null;
+
+        const base = { target: entityName, inverse: null, nullable: true };
+
+        switch (relation) {
+            case 'ManyToOne':
+                // The many side is not owned by the target, so nothing cascades from it
+                return { ...base, name: inverseName || `${singular}s`, relation: 'OneToMany', mappedBy: name, cascade: false };
+            case 'OneToMany':
+                return { ...base, name: mappedBy, relation: 'ManyToOne', mappedBy: null };
+            case 'OneToOne':
+                return mappedBy
+                    ? { ...base, name: mappedBy, relation: 'OneToOne', mappedBy: null }
+                    : { ...base, name: inverseName || singular, relation: 'OneToOne', mappedBy: name };
+            case 'ManyToMany':
+                return mappedBy
+                    ? { ...base, name: mappedBy, relation: 'ManyToMany', mappedBy: null }
+                    : { ...base, name: inverseName || `${singular}s`, relation: 'ManyToMany', mappedBy: name };
+        }
+    }
+
+    async prepareInverseField(field, context) {
+        const targetResource = this.findResource('entity', field.target, context.moduleName);
+        const targetPath = path.resolve(targetResource.path);
+        const content = await this.fileSystem.readFile(targetPath, 'utf-8');
+
+        const inverseField = this.buildInverseField(field, context.entityName);
+        const targetType = this.sourceParser.parse(content, targetPath).type;
+        if (targetType?.fields.some(existing => existing.name === inverseField.name)) {
+            throw new Error(`Entity ${field.target} already has a field named '${inverseField.name}'`);
+        }
+
+        // The target keeps its own language, which matters in mixed Java and Kotlin projects
+        const language = this.sourceParser.isKotlin(targetPath) ? 'kotlin' : 'java';
+        const { entityFields, persistenceImports, javaImports } = this.buildEntityFields([inverseField], {
+            moduleName: targetResource.module,
+            entityName: field.target,
+            entityPackage: targetResource.package,
+            knownEntities: {
+                [context.entityName]: context.entityPackage,
+                [field.target]: targetResource.package
+            },
+            language,
+            useLombok: language === 'java' && content.includes('lombok')
+        });
+
+        return {
+            path: targetPath,
+            content: this.insertEntityField(content, entityFields[0], [...persistenceImports, ...javaImports], language)
+        };
+    }
+
+    insertEntityField(content, field, imports, language = 'java') {
+        let updated = content;
+        const terminator = language === 'kotlin' ? '' : ';';
+        const hasImport = (name) => updated.split('\n').some(line => line.trim() === `import ${name}${terminator}`);
+
+        // Add only the imports the file does not already cover
+        const missingImports = imports.filter(imp => {
+            const wildcard = `${imp.slice(0, imp.lastIndexOf('.'))}.*`;
+            return !hasImport(imp) && !hasImport(wildcard);
+        });
+
+        if (missingImports.length > 0) {
+            const importLines = missingImports.map(imp => `import ${imp}${terminator}`).join('\n');
+            const lastImport = [...updated.matchAll(/^import .*$/gm)].pop();
+            if (lastImport) {
+                const insertAt = lastImport.index + lastImport[0].length;
+                updated = `${updated.slice(0, insertAt)}\n${importLines}${updated.slice(insertAt)}`;
+            } else {
+                updated = updated.replace(/^(package .*\s*\n)/m, `$1\n${importLines}\n`);
+            }
+        }
+
+        const declaration = language === 'kotlin'
+            ? `    var ${field.name}: ${field.type}${field.initializer}`
+            : `    private ${field.type} ${field.name}${field.initializer};`;
+        const fieldLines = [
+            ...field.annotations.map(annotation => `    ${annotation}`),
+            declaration
+        ].join('\n');
+
+        const closingBrace = updated.lastIndexOf('}');
+        return `${updated.slice(0, closingBrace).trimEnd()}\n\n${fieldLines}\n\n}${updated.slice(closingBrace + 1)}`;
+    }
+
+    findResource(type, name, moduleName) {
+        // Prefer the current module, then fall back to any other module
+        const modules = [...this.projectStructure.modules].sort((a, b) =>
+            (b.name === moduleName) - (a.name === moduleName)
+        );
+
+        for (const module of modules) {
+            for (const layer of Object.values(module.layers)) {
+                const resource = layer?.resources?.find(r => r.type === type && r.name === name);
+                if (resource) {
+                    const relativeDir = path.relative(
+                        this.projectStructure.sourcePath,
+                        path.dirname(path.resolve(resource.path))
+                    );
+                    return {
+                        ...resource,
+                        module: module.name,
+                        package: sourcePackage(relativeDir.split(path.sep), this.language)
+                    };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    async generateDto(resourceDetails, moduleName, options) {
+        const { name, isEntityBased, types } = resourceDetails;
+
+        const layer = options.layer || this.config.dtoPreferences?.defaultLocation || 'infrastructure';
+        if (!DTO_LAYERS.includes(layer)) {
+            throw new Error(`Invalid DTO layer '${layer}'. Valid layers are: ${DTO_LAYERS.join(', ')}`);
+        }
+
+        if (isEntityBased) {
+            return await this.generateEntityBasedDtos(name, moduleName, layer, types);
+        } else {
+            return await this.generateStandaloneDto(name, moduleName, layer);
+        }
+    }
+
+    async generateEntityBasedDtos(entityName, moduleName, layer, types) {
+        const dtoTypes = types || this.config.dtoPreferences?.types || ['Create'];
+        if (dtoTypes.length === 0) {
+            throw new Error('No DTO types selected. Choose at least one of: Create, Response, Update');
+        }
+
+        // Verify entity exists
+        const entityPath = this.resourcePath(moduleName, 'entity', entityName);
+
+        if (!await this.fileSystem.pathExists(entityPath)) {
+            throw new Error(`Entity ${entityName} not found in module ${moduleName}. Create the entity first.`);
+        }
+
+        // Read entity file to determine ID type
+        const { idType, isUUID } = await this.readEntityIdType(entityPath);
+        const { dtoFields, fieldImports } = await this.readDtoFields(entityPath);
+
+        const templateData = {
+            basePackage: this.projectStructure.basePackage,
+            module: moduleName,
+            packages: this.layout.packages(this.projectStructure.basePackage, moduleName, layer),
+            layer,
+            entityName,
+            idType,
+            isUUID,
+            dtoFields,
+            useLombok: this.config.dtoPreferences?.useLombok ?? true
+        };
+
+        // Each DTO type maps to its own template and class name
+        const dtoDefinitions = {
+            Create: { template: 'create-dto', className: this.naming.dtoClassName('Create', entityName) },
+            Response: { template: 'response-dto', className: this.naming.dtoClassName('Response', entityName) },
+            Update: { template: 'update-dto', className: this.naming.dtoClassName('Update', entityName) }
+        };
+
+        const createdFiles = [];
+        for (const dtoType of dtoTypes) {
+            const definition = dtoDefinitions[dtoType];
+            if (!definition) {
+                throw new Error(`Invalid DTO type '${dtoType}'. Valid types are: ${Object.keys(dtoDefinitions).join(', ')}`);
+            }
+
+            const dtoPath = this.resourcePath(moduleName, 'dto', definition.className, layer);
+            // Only the Response DTO carries the id
+            const imports = dtoType === 'Response' && isUUID ? [...fieldImports, 'java.util.UUID'] : fieldImports;
+            const content = await this.templateEngine.generateFromTemplate(definition.template, {
+                ...templateData,
+                className: definition.className,
+                fieldImports: [...new Set(imports)].sort()
+            });
+
+            await this.fileSystem.ensureDir(path.dirname(dtoPath));
+            await this.fileSystem.writeFile(dtoPath, content);
+            createdFiles.push(dtoPath);
+        }
+
+        return {
+            createdFiles
+        };
+    }
+
+    async generateStandaloneDto(dtoName, moduleName, layer) {
+        // Remove the DTO suffix if present for consistency
+        const baseName = this.naming.baseName('dto', dtoName).replace(/(DTO|Dto)$/, '');
+        const className = this.naming.className('dto', baseName);
+
+        const dtoPath = this.resourcePath(moduleName, 'dto', className, layer);
+
+        const templateData = {
+            basePackage: this.projectStructure.basePackage,
+            module: moduleName,
+            packages: this.layout.packages(this.projectStructure.basePackage, moduleName, layer),
+            layer,
+            name: baseName,
+            className,
+            useLombok: this.config.dtoPreferences?.useLombok ?? true
+        };
+
+        const content = await this.templateEngine.generateFromTemplate('dto', templateData);
+
+        await this.fileSystem.ensureDir(path.dirname(dtoPath));
+        await this.fileSystem.writeFile(dtoPath, content);
+
+        return {
+            createdFiles: [dtoPath]
+        };
+    }
+
+    async generateMapper(name, moduleName) {
+        // Verify entity exists
+        const entityName = this.naming.baseName('mapper', name);
+        const entityPath = this.resourcePath(moduleName, 'entity', entityName);
+
+        if (!await this.fileSystem.pathExists(entityPath)) {
+            throw new Error(`Entity ${entityName} not found in module ${moduleName}. Create the entity first.`);
+        }
+
+        const dtos = await this.findEntityDtos(entityName, moduleName);
+        if (dtos.length === 0) {
+            throw new Error(`No DTOs found for ${entityName} in module ${moduleName}. Create the DTOs first.`);
+        }
+
+        // Manual mappers copy the properties the entity and each DTO have in common
+        const entity = this.sourceParser.parse(await this.fileSystem.readFile(entityPath, 'utf-8'), entityPath).type;
+        for (const dto of dtos) {
+            dto.fields = await this.readMappedFields(dto.path, entity);
+        }
+
+        const mapperType = this.config.mapperPreferences?.type || 'mapstruct';
+        if (this.verbose) {
+            this.logger.info(`Creating ${mapperType} mapper for entity: ${entityName}`);
+            this.logger.info(`Mapping DTOs: ${dtos.map(dto => dto.className).join(', ')}`);
+        }
+
+        const templateData = {
+            basePackage: this.projectStructure.basePackage,
+            module: moduleName,
+            packages: this.layout.packages(this.projectStructure.basePackage, moduleName),
+            names: this.naming.names(entityName),
+            entityName,
+            dtos,
+            createDto: dtos.find(dto => dto.kind === 'Create'),
+            responseDto: dtos.find(dto => dto.kind === 'Response'),
+            updateDto: dtos.find(dto => dto.kind === 'Update'),
+            ignoresId: dtos.some(dto => dto.kind !== 'Response'),
+            useSpringModel: this.config.mapperPreferences?.useSpringModel ?? true,
+            bidirectional: this.config.mapperPreferences?.bidirectional ?? true
+        };
+
+        const mapperPath = this.resourcePath(moduleName, 'mapper', this.naming.className('mapper', entityName));
+
+        if (mapperType === 'mapstruct') {
+            const content = await this.templateEngine.generateFromTemplate('mapstruct-mapper', templateData);
+
+            await this.fileSystem.ensureDir(path.dirname(mapperPath));
+            await this.fileSystem.writeFile(mapperPath, content);
+
+            return {
+                createdFiles: [mapperPath]
+            };
+        }
+
+        if (mapperType !== 'manual') {
+            throw new Error(`Invalid mapper type '${mapperType}'. Valid types are: mapstruct, manual`);
+        }
+
+        // Manual mappers get an interface plus a Spring component implementing it
+        const mapperImplPath = this.resourcePath(moduleName, 'mapperImpl', this.naming.className('mapperImpl', entityName));
+
+        const mapperContent = await this.templateEngine.generateFromTemplate('mapper', templateData);
+        const mapperImplContent = await this.templateEngine.generateFromTemplate('mapper-impl', templateData);
+
+        await this.fileSystem.ensureDir(path.dirname(mapperPath));
+        await this.fileSystem.writeFile(mapperPath, mapperContent);
+
+        await this.fileSystem.ensureDir(path.dirname(mapperImplPath));
+        await this.fileSystem.writeFile(mapperImplPath, mapperImplContent);
+
+        return {
+            createdFiles: [mapperPath, mapperImplPath]
+        };
+    }
+
+    async findEntityDtos(entityName, moduleName) {
+        const candidates = ['Create', 'Response', 'Update'].map(kind => ({
+            kind,
+            className: this.naming.dtoClassName(kind, entityName)
+        }));
+
+        // DTOs may live in either layer depending on dtoPreferences.defaultLocation
+        const dtos = [];
+        for (const candidate of candidates) {
+            for (const layer of this.layout.dtoLayers()) {
+                const dtoPath = this.resourcePath(moduleName, 'dto', candidate.className, layer);
+                if (await this.fileSystem.pathExists(dtoPath)) {
+                    dtos.push({
+                        ...candidate,
+                        path: dtoPath,
+                        layer,
+                        package: this.layout.packageName(this.projectStructure.basePackage, moduleName, 'dto', layer)
+                    });
+                    break;
+                }
+            }
+        }
+
+        return dtos;
+    }
+
+    async readMappedFields(dtoPath, entity) {
+        const dto = this.sourceParser.parse(await this.fileSystem.readFile(dtoPath, 'utf-8'), dtoPath).type;
+        const idName = findIdField(entity)?.name || 'id';
+        const isProperty = field => !field.modifiers.includes('static') && field.name !== 'id' && field.name !== idName;
+        const entityFields = new Map((entity?.fields || []).filter(isProperty).map(field => [field.name, field]));
+
+        return (dto?.fields || [])
+            .filter(field => isProperty(field) && entityFields.has(field.name))
+            .map(field => this.mappedField(field, entityFields.get(field.name)));
+    }
+
+    mappedField(dtoField, entityField) {
+        const pascalName = dtoField.name.charAt(0).toUpperCase() + dtoField.name.slice(1);
+        const isNullable = type => this.language === 'kotlin'
+            ? Boolean(type?.endsWith('?'))
+            : !Object.hasOwn(BOXED_TYPES, type);
+        const dtoNullable = isNullable(dtoField.type);
 
         return {
-            createdFiles: [entityPath]
+            name: dtoField.name,
+            getter: `${dtoField.type === 'boolean' ? 'is' : 'get'}${pascalName}`,
+            setter: `set${pascalName}`,
+            entityGetter: `${entityField.type === 'boolean' ? 'is' : 'get'}${pascalName}`,
+            dtoNullable,
+            // A null cannot be copied into a primitive or non-null entity property
+            nullSafe: dtoNullable && !isNullable(entityField.type)
         };
     }
-}
\ No newline at end of file
+
+    async generateEnum(name, moduleName, options) {
+        const constants = this.parseEnumConstants(options.constants);
+        if (constants.length === 0) {
+            throw new Error('An enum needs at least one constant');
+        }
+
+        const enumName = name
+            .split(' ')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join('');
+
+        const includeDisplayName = this.config.enumPreferences?.includeDisplayName ?? true;
+        const withCode = Boolean(options.converter);
+
+        // Constructor arguments follow the field order: code, then display name
+        const constructorParams = [
+            withCode && 'String code',
+            includeDisplayName && 'String displayName'
+        ].filter(Boolean).join(', ');
+
+        const templateData = {
+            basePackage: this.projectStructure.basePackage,
+            module: moduleName,
+            packages: this.layout.packages(this.projectStructure.basePackage, moduleName),
+            enumName,
+            includeDisplayName,
+            withCode,
+            hasFields: includeDisplayName || withCode,
+            constructorParams,
+            constants: constants.map(constant => ({
+                name: constant.name,
+                args: [
+                    withCode && `"${constant.code}"`,
+                    includeDisplayName && `"${constant.displayName}"`
+                ].filter(Boolean).join(', ')
+            }))
+        };
+
+        const enumPath = this.resourcePath(moduleName, 'enum', enumName);
+
+        if (this.verbose) {
+            this.logger.info(`Using constants: ${constants.map(constant => constant.name).join(', ')}`);
+        }
+
+        const content = await this.templateEngine.generateFromTemplate('enum', templateData);
+
+        await this.fileSystem.ensureDir(path.dirname(enumPath));
+        await this.fileSystem.writeFile(enumPath, content);
+
+        const createdFiles = [enumPath];
+
+        if (withCode) {
+            const converterPath = this.resourcePath(moduleName, 'enumConverter', `${enumName}Converter`);
+
+            const converterContent = await this.templateEngine.generateFromTemplate('enum-converter', templateData);
+
+            await this.fileSystem.ensureDir(path.dirname(converterPath));
+            await this.fileSystem.writeFile(converterPath, converterContent);
+            createdFiles.push(converterPath);
+        }
+
+        return {
+            createdFiles
+        };
+    }
+
+    parseEnumConstants(constants = []) {
+        const entries = Array.isArray(constants) ? constants : constants.split(',');
+
+        // Each entry is CONSTANT or CONSTANT:code
+        return entries
+            .map(entry => entry.trim())
+            .filter(entry => entry.length > 0)
+            .map(entry => {
+                const [constantName, code] = entry.split(':').map(part => part.trim());
+
+                if (!/^[A-Z][A-Z0-9_]*$/.test(constantName)) {
+                    throw new Error(`Invalid enum constant '${constantName}'. Use UPPER_SNAKE_CASE`);
+                }
+
+                return {
+                    name: constantName,
+                    code: code || constantName,
+                    displayName: constantName
+                        .split('_')
+                        .filter(Boolean)
+                        .map(word => word.charAt(0) + word.slice(1).toLowerCase())
+                        .join(' ')
+                };
+            });
+    }
+}
+
+// Fields a DTO carries over from its entity: the id, static and transient fields and the inverse side of a
+// relationship (mappedBy) stay out
+function isDtoField(field) {
+    const isInverse = ['OneToMany', 'OneToOne', 'ManyToMany']
+        .some(name => /\bmappedBy\s*=/.test(findAnnotation(field, name)?.arguments || ''));
+
+    return Boolean(field.type) &&
+        !isInverse &&
+        !hasAnnotation(field, 'Id', 'EmbeddedId', 'Transient') &&
+        !field.modifiers.some(modifier => modifier === 'static' || modifier === 'transient');
+}
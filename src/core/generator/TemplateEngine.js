@@ -1,32 +1,60 @@
 import fs from 'fs-extra';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { dirname } from 'path';
 import Handlebars from 'handlebars';
+import { ARCHITECTURE_PRESETS } from '../config/ArchitecturePresets.js';
+
+export const HELPERS_FILES = ['helpers.js', 'helpers.mjs', 'helpers.cjs'];
+export const PARTIALS_DIRECTORY = 'partials';
+
+// Modifier written before implementation classes, by language and preset visibility
+const IMPLEMENTATION_MODIFIERS = {
+    java: { public: 'public ', package: '' },
+    kotlin: { public: '', package: 'internal ' }
+};
 
 export class TemplateEngine {
-    constructor() {
+    constructor(templatesConfig = {}, language = 'java', architecture = null) {
         const currentFilePath = fileURLToPath(import.meta.url);
-        this.templatesDir = path.join(dirname(currentFilePath), '../../templates');
+        const builtInDir = path.join(dirname(currentFilePath), '../../templates');
+
+        // Kotlin templates live in a kotlin/ subdirectory, both built in and in the overrides directory
+        this.language = language;
+        this.templatesDir = language === 'kotlin' ? path.join(builtInDir, 'kotlin') : builtInDir;
+
+        // Variables the architecture preset adds to every template
+        const visibility = ARCHITECTURE_PRESETS[architecture]?.implementationVisibility || 'public';
+        this.presetData = { implementationModifier: IMPLEMENTATION_MODIFIERS[language][visibility] };
+
+        // Callers resolve the directory against the configuration file that names it, see ConfigManager.resolveSettingPath
+        this.customizationsDir = templatesConfig?.directory ? path.resolve(templatesConfig.directory) : null;
+        this.overridesDir = this.customizationsDir && language === 'kotlin'
+            ? path.join(this.customizationsDir, 'kotlin')
+            : this.customizationsDir;
+        this.customizationsLoaded = false;
+
+        // Each engine gets its own environment so project helpers never leak between projects
+        this.handlebars = Handlebars.create();
 
         // Register custom helpers
-        Handlebars.registerHelper('toLowerCase', (str) => str.toLowerCase());
-        Handlebars.registerHelper('toUpperCase', (str) => str.toUpperCase());
-        Handlebars.registerHelper('toPascalCase', (str) => {
+        this.handlebars.registerHelper('toLowerCase', (str) => str.toLowerCase());
+        this.handlebars.registerHelper('toUpperCase', (str) => str.toUpperCase());
+        this.handlebars.registerHelper('toPascalCase', (str) => {
             return str.split(' ')
                 .map(word => word.charAt(0).toUpperCase() + word.slice(1))
                 .join('');
         });
-        Handlebars.registerHelper('toSnakeCase', (str) => {
+        this.handlebars.registerHelper('toSnakeCase', (str) => {
             return str.trim()
                 .split(/\s+/)
                 .join('_')
                 .toLowerCase();
         });
-        Handlebars.registerHelper('lowerFirstLetter', (str) => {
+        this.handlebars.registerHelper('lowerFirstLetter', (str) => {
             return str.charAt(0).toLowerCase() + str.slice(1);
         });
-        Handlebars.registerHelper('toKebabCase', (str) => {
+        this.handlebars.registerHelper('toKebabCase', (str) => {
             return str
                 .replace('Controller', '')
                 .split(/(?=[A-Z])/)
@@ -36,9 +64,158 @@ export class TemplateEngine {
     }
 
     async generateFromTemplate(templateName, data) {
-        const templatePath = path.join(this.templatesDir, `${templateName}.hbs`);
+        await this.loadCustomizations();
+
+        const templatePath = await this.resolveTemplatePath(templateName);
         const templateContent = await fs.readFile(templatePath, 'utf-8');
-        const template = Handlebars.compile(templateContent);
-        return template(data);
+        const template = this.handlebars.compile(templateContent);
+        return removeSamePackageImports(template({ ...this.presetData, ...data }));
+    }
+
+    // Project overrides win over the built-in template with the same name
+    async resolveTemplatePath(templateName) {
+        if (this.overridesDir) {
+            const overridePath = path.join(this.overridesDir, `${templateName}.hbs`);
+            if (await fs.pathExists(overridePath)) {
+                return overridePath;
+            }
+        }
+        return await this.builtInTemplatePath(templateName);
+    }
+
+    // The template shipped with the CLI, as used when the project does not override it
+    async builtInTemplatePath(templateName) {
+        return path.join(this.templatesDir, `${templateName}.hbs`);
+    }
+
+    async listTemplates() {
+        const files = await fs.readdir(this.templatesDir);
+        return files
+            .filter(file => file.endsWith('.hbs'))
+            .map(file => path.basename(file, '.hbs'))
+            .sort();
+    }
+
+    // Top-level variables a template reads, `each`/`with` blocks switch to the item's own properties
+    getTemplateVariables(templateContent) {
+        const variables = new Set();
+        const scopedHelpers = new Set(['each', 'with']);
+
+        const visitPath = (node, depth) => {
+            if (node.type !== 'PathExpression' || node.data || node.parts.length === 0) {
+                return;
+            }
+            if (node.depth === depth) {
+                variables.add(node.parts[0]);
+            }
+        };
+
+        const visitExpression = (node, depth) => {
+            if (!node) return;
+            if (node.type === 'PathExpression') {
+                visitPath(node, depth);
+            } else if (node.type === 'SubExpression') {
+                node.params.forEach(param => visitExpression(param, depth));
+                (node.hash?.pairs || []).forEach(pair => visitExpression(pair.value, depth));
+            }
+        };
+
+        const visitProgram = (program, depth) => {
+            (program?.body || []).forEach(statement => visitStatement(statement, depth));
+        };
+
+        const visitStatement = (node, depth) => {
+            const isHelperCall = node.params?.length > 0 || node.hash ||
+                this.handlebars.helpers[node.path?.original] !== undefined;
+
+            if (node.type === 'MustacheStatement') {
+                if (!isHelperCall) {
+                    visitPath(node.path, depth);
+                }
+                node.params.forEach(param => visitExpression(param, depth));
+                (node.hash?.pairs || []).forEach(pair => visitExpression(pair.value, depth));
+            } else if (node.type === 'BlockStatement') {
+                node.params.forEach(param => visitExpression(param, depth));
+                const innerDepth = scopedHelpers.has(node.path.original) ? depth + 1 : depth;
+                visitProgram(node.program, innerDepth);
+                visitProgram(node.inverse, depth);
+            } else if (node.type === 'PartialStatement') {
+                node.params.forEach(param => visitExpression(param, depth));
+            }
+        };
+
+        visitProgram(this.handlebars.parse(templateContent), 0);
+        return [...variables].sort();
+    }
+
+    async isOverridden(templateName) {
+        return this.overridesDir !== null &&
+            await fs.pathExists(path.join(this.overridesDir, `${templateName}.hbs`));
+    }
+
+    async loadCustomizations() {
+        if (this.customizationsLoaded || !this.customizationsDir) {
+            return;
+        }
+
+        if (!await fs.pathExists(this.customizationsDir)) {
+            throw new Error(`Templates directory '${this.customizationsDir}' set in templates.directory does not exist`);
+        }
+
+        // partials/<name>.hbs is available as {{> name}}
+        const partialsDir = path.join(this.customizationsDir, PARTIALS_DIRECTORY);
+        if (await fs.pathExists(partialsDir)) {
+            for (const file of await fs.readdir(partialsDir)) {
+                if (file.endsWith('.hbs')) {
+                    const content = await fs.readFile(path.join(partialsDir, file), 'utf-8');
+                    this.handlebars.registerPartial(path.basename(file, '.hbs'), content);
+                }
+            }
+        }
+
+        for (const file of HELPERS_FILES) {
+            const helpersPath = path.join(this.customizationsDir, file);
+            if (await fs.pathExists(helpersPath)) {
+                await this.loadHelpersFile(helpersPath);
+            }
+        }
+
+        this.customizationsLoaded = true;
+    }
+
+    // The helpers file may export `helpers` and `partials` objects, a default function receiving Handlebars, or both
+    async loadHelpersFile(helpersPath) {
+        let loaded;
+        try {
+            loaded = await import(pathToFileURL(helpersPath).href);
+        } catch (error) {
+            throw new Error(`Error loading template helpers from ${helpersPath}: ${error.message}`);
+        }
+
+        // CommonJS files expose module.exports as the default export
+        const customizations = typeof loaded.default === 'object' && loaded.default !== null ? loaded.default : loaded;
+
+        Object.entries(customizations.helpers || {}).forEach(([name, helper]) => {
+            this.handlebars.registerHelper(name, helper);
+        });
+        Object.entries(customizations.partials || {}).forEach(([name, partial]) => {
+            this.handlebars.registerPartial(name, partial);
+        });
+
+        if (typeof loaded.default === 'function') {
+            await loaded.default(this.handlebars);
+        }
+    }
+}
+
+// Layouts placing several resource types in one package would otherwise import classes from their own package
+function removeSamePackageImports(content) {
+    const packageName = content.match(/^package\s+([\w.`]+)/m)?.[1];
+    if (!packageName) {
+        return content;
     }
-}
\ No newline at end of file
+    const ownImport = new RegExp(`^import ${packageName.replace(/\./g, '\\.')}\\.[A-Z]\\w*;?\\n`, 'gm');
+    const result = content.replace(ownImport, '');
+    // An import block left empty would leave two blank lines behind
+    return result === content ? content : result.replace(/\n{3,}/g, '\n\n');
+}
@@ -0,0 +1,91 @@
+import { DEFAULT_LAYOUT, ModuleLayout } from '../config/ModuleLayout.js';
+import { ResourceNaming } from '../config/ResourceNaming.js';
+
+// Representative data for rendering templates outside a real generation, e.g. `sboot template validate`.
+// The layout includes a repository adapter so the port and adapter templates render too.
+const layout = new ModuleLayout({ moduleStructure: { layout: { ...DEFAULT_LAYOUT, repositoryAdapter: 'infrastructure/persistence' } } });
+const packages = layout.packages('com.example.shop', 'catalog', 'infrastructure');
+const mappedFields = [
+    { name: 'name', getter: 'getName', setter: 'setName', entityGetter: 'getName', dtoNullable: true, nullSafe: false },
+    { name: 'price', getter: 'getPrice', setter: 'setPrice', entityGetter: 'getPrice', dtoNullable: true, nullSafe: false }
+];
+const createDto = { kind: 'Create', className: 'CreateProductDTO', layer: 'infrastructure', package: packages.dto, fields: mappedFields };
+const responseDto = { kind: 'Response', className: 'ProductResponseDTO', layer: 'infrastructure', package: packages.dto, fields: mappedFields };
+const updateDto = { kind: 'Update', className: 'UpdateProductDTO', layer: 'infrastructure', package: packages.dto, fields: mappedFields };
+
+export const TEMPLATE_SAMPLE_DATA = {
+    basePackage: 'com.example.shop',
+    module: 'catalog',
+    packages,
+    name: 'Product',
+    className: 'ProductResponseDTO',
+    names: new ResourceNaming().names('Product'),
+    entityName: 'Product',
+    enumName: 'ProductStatus',
+    serviceName: 'Pricing',
+    controllerName: 'Pricing',
+    layer: 'infrastructure',
+    idType: 'Long',
+    idGenerationType: 'IDENTITY',
+    isUUID: false,
+    useLombok: true,
+    useTransactional: true,
+    useSpringModel: true,
+    bidirectional: true,
+    ignoresId: true,
+    mapperStatic: false,
+    copiesProperties: false,
+    patchesProperties: false,
+    operations: {
+        getAll: true,
+        getById: true,
+        create: true,
+        update: true,
+        patch: true,
+        delete: true,
+        usesGet: true,
+        usesId: true,
+        readsBody: true,
+        returnsOptional: true,
+        copiesProperties: true
+    },
+    fields: [
+        {
+            name: 'name',
+            type: 'String',
+            initializer: '',
+            annotations: ['@Column(nullable = false, length = 120)']
+        },
+        {
+            name: 'price',
+            type: 'BigDecimal',
+            initializer: '',
+            annotations: ['@Column(precision = 10, scale = 2)']
+        }
+    ],
+    persistenceImports: ['jakarta.persistence.Column'],
+    javaImports: ['java.math.BigDecimal'],
+    dtoFields: [
+        { name: 'name', type: 'String', getter: 'getName', setter: 'setName' },
+        { name: 'price', type: 'BigDecimal', getter: 'getPrice', setter: 'setPrice' }
+    ],
+    fieldImports: ['java.math.BigDecimal'],
+    dtos: [createDto, responseDto, updateDto],
+    createDto,
+    responseDto,
+    updateDto,
+    inputDto: updateDto,
+    dtoImports: [
+        'com.example.shop.catalog.infrastructure.dtos.CreateProductDTO',
+        'com.example.shop.catalog.infrastructure.dtos.ProductResponseDTO',
+        'com.example.shop.catalog.infrastructure.dtos.UpdateProductDTO'
+    ],
+    includeDisplayName: true,
+    withCode: true,
+    hasFields: true,
+    constructorParams: 'String code, String displayName',
+    constants: [
+        { name: 'ACTIVE', args: '"A", "Active"' },
+        { name: 'DISCONTINUED', args: '"D", "Discontinued"' }
+    ]
+};
@@ -0,0 +1,141 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+
+export class GenerationJournal {
+    // Paths are stored relative to rootDir, the root of the build
+    constructor(rootDir) {
+        this.rootDir = rootDir;
+        this.journalFile = path.join(rootDir, '.sboot', 'journal.json');
+    }
+
+    async getEntries() {
+        if (!await fs.pathExists(this.journalFile)) {
+            return [];
+        }
+
+        try {
+            const journal = await fs.readJson(this.journalFile);
+            return journal.entries || [];
+        } catch (error) {
+            throw new Error(`Error reading generation journal: ${error.message}`);
+        }
+    }
+
+    async saveEntries(entries) {
+        await fs.ensureDir(path.dirname(this.journalFile));
+        await fs.writeJson(this.journalFile, { version: 1, entries }, { spaces: 2 });
+    }
+
+    // Changes come from VirtualFileSystem commits: created directories plus files with their previous content
+    async record(command, changes) {
+        if (changes.directories.length === 0 && changes.files.length === 0) {
+            return null;
+        }
+
+        const entries = await this.getEntries();
+        const entry = {
+            id: entries.reduce((max, existing) => Math.max(max, existing.id), 0) + 1,
+            timestamp: new Date().toISOString(),
+            command,
+            undone: false,
+            directories: changes.directories.map(directory => this.toRelative(directory)),
+            files: changes.files.map(file => ({
+                path: this.toRelative(file.path),
+                action: file.action,
+                hash: this.hash(file.content),
+                previousContent: file.previousContent
+            }))
+        };
+
+        entries.push(entry);
+        await this.saveEntries(entries);
+        return entry;
+    }
+
+    async findEntry(id) {
+        const entries = await this.getEntries();
+
+        if (id === undefined) {
+            const last = [...entries].reverse().find(entry => !entry.undone);
+            if (!last) {
+                throw new Error('Nothing to undo');
+            }
+            return last;
+        }
+
+        const entry = entries.find(existing => existing.id === Number(id));
+        if (!entry) {
+            throw new Error(`No generation with id ${id} in the journal`);
+        }
+        if (entry.undone) {
+            throw new Error(`Generation ${id} has already been undone`);
+        }
+        return entry;
+    }
+
+    // Files that no longer match what the generation wrote
+    async findEditedFiles(entry) {
+        const edited = [];
+
+        for (const file of entry.files) {
+            const fullPath = path.join(this.rootDir, file.path);
+            if (!await fs.pathExists(fullPath)) {
+                edited.push({ path: file.path, reason: 'deleted' });
+            } else if (this.hash(await fs.readFile(fullPath, 'utf-8')) !== file.hash) {
+                edited.push({ path: file.path, reason: 'modified' });
+            }
+        }
+
+        return edited;
+    }
+
+    async undo(entry, { force = false } = {}) {
+        const edited = await this.findEditedFiles(entry);
+        if (edited.length > 0 && !force) {
+            const list = edited.map(file => `  - ${file.path} (${file.reason})`).join('\n');
+            throw new Error(`These files changed after generation ${entry.id}, use --force to revert them anyway:\n${list}`);
+        }
+
+        const removedFiles = [];
+        const restoredFiles = [];
+
+        for (const file of [...entry.files].reverse()) {
+            const fullPath = path.join(this.rootDir, file.path);
+            if (file.previousContent === null) {
+                await fs.remove(fullPath);
+                removedFiles.push(file.path);
+            } else {
+                await fs.outputFile(fullPath, file.previousContent);
+                restoredFiles.push(file.path);
+            }
+        }
+
+        // Deepest directories first, and only the ones left empty
+        const removedDirectories = [];
+        const directories = [...entry.directories].sort((a, b) => b.length - a.length);
+        for (const directory of directories) {
+            const fullPath = path.join(this.rootDir, directory);
+            if (await fs.pathExists(fullPath) && (await fs.readdir(fullPath)).length === 0) {
+                await fs.remove(fullPath);
+                removedDirectories.push(directory);
+            }
+        }
+
+        const entries = await this.getEntries();
+        const stored = entries.find(existing => existing.id === entry.id);
+        stored.undone = true;
+        stored.undoneAt = new Date().toISOString();
+        await this.saveEntries(entries);
+
+        return { removedFiles, restoredFiles, removedDirectories };
+    }
+
+    toRelative(filePath) {
+        return path.relative(this.rootDir, filePath).split(path.sep).join('/');
+    }
+
+    hash(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+}
@@ -0,0 +1,405 @@
+const MODIFIERS = new Set([
+    'public', 'protected', 'private', 'static', 'final', 'abstract', 'sealed', 'non-sealed',
+    'strictfp', 'transient', 'volatile', 'synchronized', 'native', 'default'
+]);
+
+const TYPE_KINDS = new Set(['class', 'interface', 'enum', 'record', '@interface']);
+
+export class JavaParser {
+    parse(content) {
+        const source = this.stripComments(content);
+
+        const packageMatch = source.match(/^\s*package\s+([\w.]+)\s*;/m);
+        const imports = [...source.matchAll(/^\s*import\s+(static\s+)?([\w.]+(?:\.\*)?)\s*;/gm)]
+            .map(match => ({ name: match[2], isStatic: Boolean(match[1]) }));
+
+        return {
+            packageName: packageMatch ? packageMatch[1] : null,
+            imports,
+            type: this.parseTopLevelType(source)
+        };
+    }
+
+    // Replaces comments with spaces so offsets and line numbers are preserved
+    stripComments(content) {
+        let result = '';
+        let i = 0;
+
+        while (i < content.length) {
+            const char = content[i];
+            const next = content[i + 1];
+
+            if (char === '/' && next === '/') {
+                while (i < content.length && content[i] !== '\n') {
+                    result += ' ';
+                    i++;
+                }
+            } else if (char === '/' && next === '*') {
+                const end = content.indexOf('*/', i + 2);
+                const stop = end === -1 ? content.length : end + 2;
+                result += content.slice(i, stop).replace(/[^\n]/g, ' ');
+                i = stop;
+            } else if (char === '"' || char === '\'') {
+                const stop = this.findLiteralEnd(content, i);
+                result += content.slice(i, stop);
+                i = stop;
+            } else {
+                result += char;
+                i++;
+            }
+        }
+
+        return result;
+    }
+
+    findLiteralEnd(content, start) {
+        // Text blocks: """ ... """
+        if (content.startsWith('"""', start)) {
+            const end = content.indexOf('"""', start + 3);
+            return end === -1 ? content.length : end + 3;
+        }
+
+        const quote = content[start];
+        let i = start + 1;
+        while (i < content.length && content[i] !== quote && content[i] !== '\n') {
+            i += content[i] === '\\' ? 2 : 1;
+        }
+        return Math.min(i + 1, content.length);
+    }
+
+    parseTopLevelType(source) {
+        // Skip the package and import declarations, the type header follows them
+        const declarations = [...source.matchAll(/^\s*(?:package|import)\s[^;]*;/gm)];
+        const headerStart = declarations.length > 0
+            ? declarations[declarations.length - 1].index + declarations[declarations.length - 1][0].length
+            : 0;
+
+        const bodyStart = this.findTopLevelBrace(source, headerStart);
+        if (bodyStart === -1) {
+            return null;
+        }
+
+        const header = this.parseHeader(source.slice(headerStart, bodyStart));
+        if (!header) {
+            return null;
+        }
+
+        const bodyEnd = this.findMatchingBrace(source, bodyStart);
+        const body = source.slice(bodyStart + 1, bodyEnd);
+
+        const fields = [
+            ...header.recordComponents,
+            ...this.parseFields(body, header.kind)
+        ];
+
+        return {
+            kind: header.kind,
+            name: header.name,
+            modifiers: header.modifiers,
+            annotations: header.annotations,
+            superclass: header.superclass,
+            interfaces: header.interfaces,
+            fields
+        };
+    }
+
+    findTopLevelBrace(source, from) {
+        let parens = 0;
+        for (let i = from; i < source.length; i++) {
+            const char = source[i];
+            if (char === '"' || char === '\'') {
+                i = this.findLiteralEnd(source, i) - 1;
+            } else if (char === '(') {
+                parens++;
+            } else if (char === ')') {
+                parens--;
+            } else if (char === '{' && parens === 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    findMatchingBrace(source, openIndex) {
+        let depth = 0;
+        for (let i = openIndex; i < source.length; i++) {
+            const char = source[i];
+            if (char === '"' || char === '\'') {
+                i = this.findLiteralEnd(source, i) - 1;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth === 0) {
+                    return i;
+                }
+            }
+        }
+        return source.length;
+    }
+
+    parseHeader(text) {
+        const { annotations, rest } = this.extractAnnotations(text.trim());
+        const tokens = this.tokenize(rest);
+
+        const modifiers = [];
+        let index = 0;
+        while (index < tokens.length && MODIFIERS.has(tokens[index])) {
+            modifiers.push(tokens[index]);
+            index++;
+        }
+
+        const kind = tokens[index];
+        if (!TYPE_KINDS.has(kind)) {
+            return null;
+        }
+
+        const nameMatch = rest.match(/(?:^|\s)(?:class|interface|enum|record|@interface)\s+([A-Za-z_$][\w$]*)/);
+        if (!nameMatch) {
+            return null;
+        }
+
+        const name = nameMatch[1];
+        let remaining = rest.slice(nameMatch.index + nameMatch[0].length).trim();
+
+        if (remaining.startsWith('<')) {
+            remaining = remaining.slice(this.findClosing(remaining, 0, '<', '>') + 1).trim();
+        }
+
+        let recordComponents = [];
+        if (kind === 'record' && remaining.startsWith('(')) {
+            const close = this.findClosing(remaining, 0, '(', ')');
+            recordComponents = this.splitTopLevel(remaining.slice(1, close), ',')
+                .map(component => this.parseDeclaration(component))
+                .filter(Boolean);
+            remaining = remaining.slice(close + 1).trim();
+        }
+
+        let superclass = null;
+        let interfaces = [];
+
+        const extendsMatch = remaining.match(/\bextends\s+([\s\S]*?)(?=\bimplements\b|\bpermits\b|$)/);
+        if (extendsMatch) {
+            const types = this.splitTopLevel(extendsMatch[1], ',').map(type => type.trim()).filter(Boolean);
+            // Interfaces extend other interfaces, classes extend a single superclass
+            if (kind === 'interface') {
+                interfaces = types;
+            } else {
+                superclass = types[0] || null;
+            }
+        }
+
+        const implementsMatch = remaining.match(/\bimplements\s+([\s\S]*?)(?=\bpermits\b|$)/);
+        if (implementsMatch) {
+            interfaces = interfaces.concat(
+                this.splitTopLevel(implementsMatch[1], ',').map(type => type.trim()).filter(Boolean)
+            );
+        }
+
+        return { kind, name, modifiers, annotations, superclass, interfaces, recordComponents };
+    }
+
+    parseFields(body, kind) {
+        const fields = [];
+        let start = 0;
+        let i = 0;
+
+        // Enum constants come first and end at the first top-level semicolon
+        if (kind === 'enum') {
+            const end = this.findTopLevelChar(body, 0, ';');
+            if (end === -1) {
+                return fields;
+            }
+            start = i = end + 1;
+        }
+
+        let parens = 0;
+        while (i < body.length) {
+            const char = body[i];
+
+            if (char === '"' || char === '\'') {
+                i = this.findLiteralEnd(body, i);
+                continue;
+            }
+
+            if (char === '(') parens++;
+            if (char === ')') parens--;
+
+            if (parens === 0 && char === ';') {
+                const field = this.parseFieldStatement(body.slice(start, i));
+                if (field) fields.push(...field);
+                start = i + 1;
+            } else if (parens === 0 && char === '{') {
+                const statement = body.slice(start, i);
+                const close = this.findMatchingBrace(body, i);
+
+                // Braces after "=" belong to an initializer, anything else is a method, block or nested type
+                if (this.findTopLevelChar(statement, 0, '=') !== -1) {
+                    i = close + 1;
+                    continue;
+                }
+                i = close + 1;
+                start = i;
+                continue;
+            }
+
+            i++;
+        }
+
+        return fields;
+    }
+
+    parseFieldStatement(statement) {
+        const { annotations, rest } = this.extractAnnotations(statement.trim());
+        if (!rest) {
+            return null;
+        }
+
+        // "int a = 1, b" declares several fields sharing the first type
+        const declarators = this.splitTopLevel(rest, ',').map(part => {
+            const equalsIndex = this.findTopLevelChar(part, 0, '=');
+            return (equalsIndex === -1 ? part : part.slice(0, equalsIndex)).trim();
+        });
+
+        // Method declarations without a body (interfaces, abstract methods)
+        if (declarators[0].includes('(')) {
+            return null;
+        }
+
+        const tokens = this.tokenize(declarators[0]);
+        const modifiers = [];
+        while (tokens.length > 0 && MODIFIERS.has(tokens[0])) {
+            modifiers.push(tokens.shift());
+        }
+
+        const parsed = this.parseDeclaration(tokens.join(' '));
+        if (!parsed) {
+            return null;
+        }
+
+        const fields = [{ ...parsed, modifiers, annotations: annotations.concat(parsed.annotations) }];
+        for (const declarator of declarators.slice(1)) {
+            if (/^[A-Za-z_$][\w$]*$/.test(declarator)) {
+                fields.push({ ...fields[0], name: declarator });
+            }
+        }
+
+        return fields;
+    }
+
+    parseDeclaration(text) {
+        const { annotations, rest } = this.extractAnnotations(text.trim());
+        const tokens = this.tokenize(rest).filter(token => !MODIFIERS.has(token));
+        const cleaned = tokens.join(' ');
+
+        const match = cleaned.match(/^([\s\S]+?)\s+([A-Za-z_$][\w$]*)\s*((?:\[\s*\])*)\s*$/);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            name: match[2],
+            type: (match[1] + match[3]).replace(/\s*([<>,[\]])\s*/g, '$1').replace(/,/g, ', ').replace(/\s+/g, ' ').trim(),
+            annotations
+        };
+    }
+
+    extractAnnotations(text) {
+        const annotations = [];
+        let rest = text;
+
+        while (true) {
+            const match = rest.match(/^\s*@(?!interface\b)([\w.]+)\s*/);
+            if (!match) break;
+
+            let consumed = match[0].length;
+            let args = null;
+
+            if (rest[consumed] === '(') {
+                const close = this.findClosing(rest, consumed, '(', ')');
+                args = rest.slice(consumed + 1, close).trim();
+                consumed = close + 1;
+            }
+
+            const qualifiedName = match[1];
+            annotations.push({
+                name: qualifiedName.split('.').pop(),
+                qualifiedName,
+                arguments: args
+            });
+            rest = rest.slice(consumed);
+        }
+
+        return { annotations, rest: rest.trim() };
+    }
+
+    findClosing(text, openIndex, open, close) {
+        let depth = 0;
+        for (let i = openIndex; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"' || char === '\'') {
+                i = this.findLiteralEnd(text, i) - 1;
+            } else if (char === open) {
+                depth++;
+            } else if (char === close) {
+                depth--;
+                if (depth === 0) return i;
+            }
+        }
+        return text.length;
+    }
+
+    findTopLevelChar(text, from, target) {
+        let depth = 0;
+        for (let i = from; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"' || char === '\'') {
+                i = this.findLiteralEnd(text, i) - 1;
+            } else if ('({<['.includes(char)) {
+                depth++;
+            } else if (')}>]'.includes(char)) {
+                depth--;
+            } else if (char === target && depth === 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    splitTopLevel(text, separator) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+
+        for (const char of text) {
+            if ('(<[{'.includes(char)) depth++;
+            if (')>]}'.includes(char)) depth--;
+
+            if (char === separator && depth === 0) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        parts.push(current);
+
+        return parts.filter(part => part.trim().length > 0);
+    }
+
+    tokenize(text) {
+        return text.split(/\s+/).filter(Boolean);
+    }
+}
+
+export function findAnnotation(element, name) {
+    return element?.annotations?.find(annotation => annotation.name === name) || null;
+}
+
+export function hasAnnotation(element, ...names) {
+    return names.some(name => findAnnotation(element, name) !== null);
+}
+
+export function findIdField(type) {
+    return type?.fields?.find(field => hasAnnotation(field, 'Id', 'EmbeddedId')) || null;
+}
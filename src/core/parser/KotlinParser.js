@@ -0,0 +1,279 @@
+import { JavaParser } from './JavaParser.js';
+
+const MODIFIERS = new Set([
+    'public', 'protected', 'private', 'internal', 'open', 'final', 'abstract', 'sealed', 'override',
+    'lateinit', 'const', 'data', 'enum', 'annotation', 'inner', 'value', 'inline', 'external',
+    'companion', 'expect', 'actual', 'vararg', 'noinline', 'crossinline', 'tailrec', 'operator', 'infix', 'suspend'
+]);
+
+const USE_SITE_TARGETS = /@(?:field|get|set|param|property|setparam|delegate|receiver):/g;
+
+// Same result shape as JavaParser so scanners and generators can use either one
+export class KotlinParser extends JavaParser {
+    parse(content) {
+        const source = this.stripComments(content);
+
+        // Segments that are keywords are quoted with backticks, e.g. port.`in`
+        const packageMatch = source.match(/^\s*package\s+([\w.`]+)/m);
+        const imports = [...source.matchAll(/^\s*import\s+([\w.`]+(?:\.\*)?)(?:\s+as\s+\w+)?\s*;?\s*$/gm)]
+            .map(match => ({ name: unquote(match[1]), isStatic: false }));
+
+        return {
+            packageName: packageMatch ? unquote(packageMatch[1]) : null,
+            imports,
+            type: this.parseTopLevelType(source)
+        };
+    }
+
+    parseTopLevelType(source) {
+        // The header starts after the package and imports, where the file annotations end too
+        const declarations = [...source.matchAll(/^\s*(?:package|import)\s[^\n]*$/gm)];
+        const headerStart = declarations.length > 0
+            ? declarations[declarations.length - 1].index + declarations[declarations.length - 1][0].length
+            : 0;
+
+        const declaration = this.findDeclaration(source, headerStart);
+        if (!declaration) {
+            return null;
+        }
+
+        const { annotations, rest } = this.extractAnnotations(source.slice(headerStart, declaration.index));
+        const modifiers = [
+            ...this.tokenize(rest),
+            ...declaration.modifiers
+        ].filter(token => MODIFIERS.has(token));
+
+        let kind = declaration.keyword;
+        if (kind === 'class' && modifiers.includes('enum')) kind = 'enum';
+        if (kind === 'class' && modifiers.includes('annotation')) kind = '@interface';
+
+        let index = declaration.index + declaration.text.length;
+        const skipSpaces = () => {
+            while (index < source.length && /\s/.test(source[index])) index++;
+        };
+
+        skipSpaces();
+        if (source[index] === '<') {
+            index = this.findClosing(source, index, '<', '>') + 1;
+            skipSpaces();
+        }
+
+        // Primary constructor, optionally annotated or with an explicit `constructor` keyword
+        let constructorFields = [];
+        const constructorMatch = source.slice(index).match(/^(?:(?:@[\w.]+(?:\([^)]*\))?|public|protected|private|internal)\s*)*(?:constructor\s*)?(?=\()/);
+        if (constructorMatch) {
+            const open = index + constructorMatch[0].length;
+            const close = this.findClosing(source, open, '(', ')');
+            constructorFields = this.splitTopLevel(source.slice(open + 1, close), ',')
+                .map(parameter => this.parseProperty(parameter))
+                .filter(Boolean);
+            index = close + 1;
+            skipSpaces();
+        }
+
+        let superclass = null;
+        let interfaces = [];
+
+        // Supertypes run up to the body, a where clause or the end of the declaration
+        if (source[index] === ':') {
+            const end = this.findSupertypesEnd(source, index + 1);
+            const supertypes = this.splitTopLevel(source.slice(index + 1, end), ',')
+                .map(type => type.replace(/\s+by\s+[\s\S]*$/, '').trim())
+                .filter(Boolean);
+
+            for (const supertype of supertypes) {
+                // Only a class is invoked with a constructor call
+                if (kind !== 'interface' && supertype.endsWith(')') && !superclass) {
+                    superclass = supertype.slice(0, supertype.indexOf('(')).trim();
+                } else {
+                    interfaces.push(supertype.replace(/\s+/g, ' '));
+                }
+            }
+            index = end;
+        }
+
+        const bodyStart = source[index] === '{' ? index : -1;
+        let bodyFields = [];
+        if (bodyStart !== -1) {
+            const bodyEnd = this.findMatchingBrace(source, bodyStart);
+            bodyFields = this.parseFields(source.slice(bodyStart + 1, bodyEnd), kind);
+        }
+
+        return {
+            kind,
+            name: declaration.name,
+            modifiers: [...new Set(modifiers)],
+            annotations,
+            superclass,
+            interfaces,
+            fields: [...constructorFields, ...bodyFields]
+        };
+    }
+
+    findDeclaration(source, from) {
+        const pattern = /\b((?:(?:public|protected|private|internal|open|final|abstract|sealed|data|enum|annotation|inner|value)\s+)*)(class|interface|object)\s+([A-Za-z_$][\w$]*)/g;
+        pattern.lastIndex = from;
+
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            // `fun interface` and companion objects inside functions are not top-level declarations
+            if (this.depthAt(source, from, match.index) === 0) {
+                return {
+                    index: match.index,
+                    text: match[0],
+                    modifiers: this.tokenize(match[1]),
+                    keyword: match[2],
+                    name: match[3]
+                };
+            }
+        }
+        return null;
+    }
+
+    depthAt(source, from, position) {
+        let depth = 0;
+        for (let i = from; i < position; i++) {
+            const char = source[i];
+            if (char === '"' || char === '\'') {
+                i = this.findLiteralEnd(source, i) - 1;
+            } else if ('({['.includes(char)) {
+                depth++;
+            } else if (')}]'.includes(char)) {
+                depth--;
+            }
+        }
+        return depth;
+    }
+
+    findSupertypesEnd(source, from) {
+        let depth = 0;
+        for (let i = from; i < source.length; i++) {
+            const char = source[i];
+            if (char === '"' || char === '\'') {
+                i = this.findLiteralEnd(source, i) - 1;
+            } else if ('(<['.includes(char)) {
+                depth++;
+            } else if (')>]'.includes(char)) {
+                depth--;
+            } else if (depth === 0 && (char === '{' || source.startsWith('where ', i))) {
+                return i;
+            } else if (depth === 0 && char === '\n' && !/^\s*[,:]/.test(source.slice(i + 1)) &&
+                !/,\s*$/.test(source.slice(from, i))) {
+                return i;
+            }
+        }
+        return source.length;
+    }
+
+    parseFields(body, kind) {
+        let start = 0;
+
+        // Enum entries come first and end at the first top-level semicolon
+        if (kind === 'enum') {
+            const end = this.findTopLevelChar(body, 0, ';');
+            if (end === -1) {
+                return [];
+            }
+            start = end + 1;
+        }
+
+        const fields = [];
+        let pendingAnnotations = [];
+
+        for (const statement of this.splitStatements(body.slice(start))) {
+            const { annotations, rest } = this.extractAnnotations(statement);
+            if (!rest) {
+                // Annotations on their own line belong to the next declaration
+                pendingAnnotations.push(...annotations);
+                continue;
+            }
+
+            // Companion object members are the Kotlin counterpart of static fields
+            if (/^(?:\w+\s+)*companion\s+object\b[^{]*\{/.test(rest)) {
+                const open = statement.indexOf('{', statement.search(/\bcompanion\s+object\b/));
+                const close = this.findMatchingBrace(statement, open);
+                fields.push(...this.parseFields(statement.slice(open + 1, close), 'object')
+                    .map(field => ({ ...field, modifiers: [...field.modifiers, 'static'] })));
+                pendingAnnotations = [];
+                continue;
+            }
+
+            const field = this.parseProperty(statement);
+            if (field) {
+                field.annotations = pendingAnnotations.concat(field.annotations);
+                fields.push(field);
+            }
+            pendingAnnotations = [];
+        }
+
+        return fields;
+    }
+
+    // Splits a class body into top-level statements, skipping over nested blocks
+    splitStatements(body) {
+        const statements = [];
+        let depth = 0;
+        let current = '';
+
+        for (let i = 0; i < body.length; i++) {
+            const char = body[i];
+
+            if (char === '"' || char === '\'') {
+                const end = this.findLiteralEnd(body, i);
+                current += body.slice(i, end);
+                i = end - 1;
+                continue;
+            }
+
+            if ('({['.includes(char)) depth++;
+            if (')}]'.includes(char)) depth--;
+
+            const endsStatement = depth === 0 && (char === ';' ||
+                (char === '\n' && !/[=,.(]\s*$/.test(current) && !/^\s*(?:\.|\?\.|\?:|=)/.test(body.slice(i + 1))));
+
+            if (endsStatement) {
+                if (current.trim()) statements.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (current.trim()) statements.push(current.trim());
+
+        return statements;
+    }
+
+    parseProperty(text) {
+        const { annotations, rest } = this.extractAnnotations(text.trim());
+        const tokens = this.tokenize(rest);
+
+        const modifiers = [];
+        while (tokens.length > 0 && MODIFIERS.has(tokens[0])) {
+            modifiers.push(tokens.shift());
+        }
+
+        const match = tokens.join(' ').match(/^(val|var)\s+([A-Za-z_$][\w$]*)\s*(?::\s*([\s\S]+?))?\s*(?:=[\s\S]*|\bby\b[\s\S]*|\{[\s\S]*)?$/);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            name: match[2],
+            type: match[3] ? this.normalizeType(match[3]) : null,
+            modifiers: [...modifiers, match[1]],
+            annotations
+        };
+    }
+
+    normalizeType(type) {
+        return type.replace(/\s*([<>,?])\s*/g, '$1').replace(/,/g, ', ').replace(/\s+/g, ' ').trim();
+    }
+
+    extractAnnotations(text) {
+        return super.extractAnnotations(text.replace(USE_SITE_TARGETS, '@'));
+    }
+}
+
+function unquote(name) {
+    return name.replace(/`/g, '');
+}
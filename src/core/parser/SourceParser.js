@@ -0,0 +1,55 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { JavaParser } from './JavaParser.js';
+import { KotlinParser } from './KotlinParser.js';
+
+export const SOURCE_EXTENSIONS = {
+    java: '.java',
+    kotlin: '.kt'
+};
+
+export const LANGUAGES = ['auto', ...Object.keys(SOURCE_EXTENSIONS)];
+
+// `auto` follows the language detected in the project
+export function resolveLanguage(configured = 'auto', detected = 'java') {
+    if (!LANGUAGES.includes(configured)) {
+        throw new Error(`Invalid language '${configured}'. Valid languages are: ${LANGUAGES.join(', ')}`);
+    }
+    return configured === 'auto' ? detected : configured;
+}
+
+// Picks the parser from the file extension, so mixed Java and Kotlin projects scan cleanly
+export class SourceParser {
+    constructor() {
+        this.javaParser = new JavaParser();
+        this.kotlinParser = new KotlinParser();
+    }
+
+    parse(content, filePath) {
+        return this.isKotlin(filePath)
+            ? this.kotlinParser.parse(content)
+            : this.javaParser.parse(content);
+    }
+
+    // Every Java and Kotlin file below the directory, in a stable order
+    async listSourceFiles(directory) {
+        const files = [];
+        for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this.listSourceFiles(fullPath));
+            } else if (this.isSourceFile(fullPath)) {
+                files.push(fullPath);
+            }
+        }
+        return files.sort();
+    }
+
+    isSourceFile(filePath) {
+        return Object.values(SOURCE_EXTENSIONS).includes(path.extname(filePath));
+    }
+
+    isKotlin(filePath) {
+        return path.extname(filePath) === SOURCE_EXTENSIONS.kotlin;
+    }
+}
@@ -0,0 +1,99 @@
+// The module dependencies of a scanned project as a Mermaid flowchart, a Graphviz digraph or JSON.
+// Edges between modules of the same cycle are drawn in red.
+
+export const GRAPH_FORMATS = ['mermaid', 'dot', 'json'];
+
+const CYCLE_COLOR = '#d62728';
+
+export function formatGraph(projectStructure, format = 'mermaid') {
+    switch (format) {
+        case 'mermaid':
+            return formatMermaid(projectStructure);
+        case 'dot':
+            return formatDot(projectStructure);
+        case 'json':
+            return formatJson(projectStructure);
+        default:
+            throw new Error(`Invalid graph format '${format}'. Valid formats are: ${GRAPH_FORMATS.join(', ')}`);
+    }
+}
+
+// One edge per pair of modules, weighted by the number of imports
+export function dependencyEdges(projectStructure) {
+    const cycleOf = cycleMembership(projectStructure);
+
+    return projectStructure.modules.flatMap(module => (module.dependencies || []).map(dependency => ({
+        from: module.name,
+        to: dependency.module,
+        count: dependency.count,
+        files: dependency.files,
+        inCycle: cycleOf.has(module.name) && cycleOf.get(module.name) === cycleOf.get(dependency.module)
+    })));
+}
+
+function formatMermaid(projectStructure) {
+    const edges = dependencyEdges(projectStructure);
+    const cycleOf = cycleMembership(projectStructure);
+    const lines = ['flowchart LR'];
+
+    for (const module of projectStructure.modules) {
+        lines.push(`    ${nodeId(module.name)}["${module.name}"]`);
+    }
+    for (const edge of edges) {
+        lines.push(`    ${nodeId(edge.from)} -->|${edge.count}| ${nodeId(edge.to)}`);
+    }
+
+    const cycleEdges = edges.map((edge, index) => edge.inCycle ? index : -1).filter(index => index !== -1);
+    if (cycleEdges.length > 0) {
+        lines.push(`    classDef cycle stroke:${CYCLE_COLOR},stroke-width:2px`);
+        lines.push(`    class ${[...cycleOf.keys()].map(nodeId).join(',')} cycle`);
+        lines.push(`    linkStyle ${cycleEdges.join(',')} stroke:${CYCLE_COLOR},stroke-width:2px`);
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+function formatDot(projectStructure) {
+    const cycleOf = cycleMembership(projectStructure);
+    const lines = [
+        `digraph "${projectStructure.project}" {`,
+        '    rankdir=LR;',
+        '    node [shape=box];'
+    ];
+
+    for (const module of projectStructure.modules) {
+        lines.push(`    "${module.name}"${cycleOf.has(module.name) ? ` [color="${CYCLE_COLOR}"]` : ''};`);
+    }
+    for (const edge of dependencyEdges(projectStructure)) {
+        const color = edge.inCycle ? `, color="${CYCLE_COLOR}", fontcolor="${CYCLE_COLOR}"` : '';
+        lines.push(`    "${edge.from}" -> "${edge.to}" [label="${edge.count}"${color}];`);
+    }
+
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+}
+
+function formatJson(projectStructure) {
+    const graph = {
+        project: projectStructure.project,
+        basePackage: projectStructure.basePackage,
+        modules: projectStructure.modules.map(module => module.name),
+        dependencies: dependencyEdges(projectStructure),
+        cycles: projectStructure.cycles || []
+    };
+    return `${JSON.stringify(graph, null, 2)}\n`;
+}
+
+// Module name to the index of its cycle
+function cycleMembership(projectStructure) {
+    const cycleOf = new Map();
+    (projectStructure.cycles || []).forEach((cycle, index) => {
+        cycle.forEach(name => cycleOf.set(name, index));
+    });
+    return cycleOf;
+}
+
+// Mermaid keywords such as `end` cannot be node ids, so module names get a prefix
+function nodeId(name) {
+    return `module_${name}`;
+}
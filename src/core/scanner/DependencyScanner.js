@@ -0,0 +1,98 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { ImportResolver } from './ImportResolver.js';
+import { SourceParser } from '../parser/SourceParser.js';
+
+// Finds which modules import from which, through the import statements of their source files
+export class DependencyScanner {
+    constructor(sourceParser = new SourceParser()) {
+        this.sourceParser = sourceParser;
+    }
+
+    // Adds the modules each module depends on, and the groups of modules depending on each other
+    async scan(projectStructure) {
+        const resolver = new ImportResolver(projectStructure.basePackage, projectStructure.modules.map(module => module.name));
+
+        for (const module of projectStructure.modules) {
+            module.dependencies = await this.scanModule(module, resolver, projectStructure.projectPath);
+        }
+        projectStructure.cycles = findCycles(projectStructure.modules);
+
+        return projectStructure;
+    }
+
+    async scanModule(module, resolver, projectPath) {
+        const dependencies = new Map();
+
+        for (const filePath of await this.sourceParser.listSourceFiles(module.path)) {
+            const content = await fs.readFile(filePath, 'utf-8');
+            const relativePath = path.relative(projectPath, filePath).split(path.sep).join('/');
+
+            for (const imported of this.sourceParser.parse(content, filePath).imports) {
+                const target = resolver.resolve(imported.name);
+                if (!target || target.module === module.name) {
+                    continue;
+                }
+
+                if (!dependencies.has(target.module)) {
+                    dependencies.set(target.module, { module: target.module, count: 0, files: [] });
+                }
+                const dependency = dependencies.get(target.module);
+                let file = dependency.files.find(candidate => candidate.path === relativePath);
+                if (!file) {
+                    file = { path: relativePath, imports: [] };
+                    dependency.files.push(file);
+                }
+                file.imports.push(imported.name);
+                dependency.count++;
+            }
+        }
+
+        return [...dependencies.values()].sort((a, b) => a.module.localeCompare(b.module));
+    }
+}
+
+// Strongly connected components of the module graph with more than one module (Tarjan's algorithm),
+// every module of a group can reach every other one
+export function findCycles(modules) {
+    const edges = new Map(modules.map(module => [module.name, (module.dependencies || []).map(dependency => dependency.module)]));
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const cycles = [];
+
+    const visit = name => {
+        index.set(name, index.size);
+        lowLink.set(name, index.get(name));
+        stack.push(name);
+
+        for (const target of edges.get(name) || []) {
+            if (!index.has(target)) {
+                visit(target);
+                lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(target)));
+            } else if (stack.includes(target)) {
+                lowLink.set(name, Math.min(lowLink.get(name), index.get(target)));
+            }
+        }
+
+        if (lowLink.get(name) === index.get(name)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                component.push(member);
+            } while (member !== name);
+            if (component.length > 1) {
+                cycles.push(component.sort());
+            }
+        }
+    };
+
+    for (const name of edges.keys()) {
+        if (!index.has(name)) {
+            visit(name);
+        }
+    }
+
+    return cycles.sort((a, b) => a[0].localeCompare(b[0]));
+}
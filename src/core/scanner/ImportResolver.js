@@ -0,0 +1,34 @@
+import { MODULE_ROOT } from '../config/ModuleLayout.js';
+
+// Tells which module and layer of the project an import points into, e.g.
+// com.acme.shop.orders.infrastructure.repositories.OrderRepository is the infrastructure layer of module orders
+export class ImportResolver {
+    constructor(basePackage, moduleNames) {
+        this.prefix = `${basePackage}.`;
+        this.modules = new Set(moduleNames);
+    }
+
+    // Returns null for imports outside the scanned modules, such as libraries or shared packages
+    resolve(importName) {
+        if (!importName.startsWith(this.prefix)) {
+            return null;
+        }
+
+        const [module, ...rest] = importName.slice(this.prefix.length).split('.');
+        if (!this.modules.has(module) || rest.length === 0) {
+            return null;
+        }
+
+        // Packages are lowercase, the class starts at the first capitalized segment (or * for a whole package)
+        const classIndex = rest.findIndex(segment => segment === '*' || /^[A-Z]/.test(segment));
+        const packageSegments = classIndex === -1 ? rest : rest.slice(0, classIndex);
+        const className = classIndex === -1 ? null : rest[classIndex];
+
+        return {
+            module,
+            layer: packageSegments.length > 0 ? packageSegments[0] : MODULE_ROOT,
+            packageName: [this.prefix.slice(0, -1), module, ...packageSegments].join('.'),
+            className: className === '*' ? null : className
+        };
+    }
+}
@@ -1,10 +1,12 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { ResourceScanner } from './ResourceScanner.js';
+import { ModuleLayout, MODULE_ROOT } from '../config/ModuleLayout.js';
 
 export class ModuleScanner {
-    constructor() {
-        this.resourceScanner = new ResourceScanner();
+    constructor(layout = new ModuleLayout(), resourceScanner = new ResourceScanner()) {
+        this.layout = layout;
+        this.resourceScanner = resourceScanner;
     }
 
     async scan(modulePath) {
@@ -14,18 +16,25 @@ export class ModuleScanner {
             const structure = {
                 name: moduleName,
                 path: modulePath,
-                layers: {
-                    application: await this.scanLayer(path.join(modulePath, 'application')),
-                    domain: await this.scanLayer(path.join(modulePath, 'domain')),
-                    infrastructure: await this.scanLayer(path.join(modulePath, 'infrastructure'))
-                }
+                layers: {}
             };
 
+            // Every layer the configuration knows about, whether or not the module has it
+            for (const layer of this.layout.layerNames()) {
+                structure.layers[layer] = await this.scanLayer(path.join(modulePath, layer));
+            }
+
+            // Layouts placing resources in the module package get a layer for the files directly in it
+            if (this.layout.usesModuleRoot()) {
+                structure.layers[MODULE_ROOT] = await this.scanLayer(modulePath);
+            }
+
             // Scan for resources in each layer
             for (const layer of Object.keys(structure.layers)) {
                 if (structure.layers[layer]) {
                     structure.layers[layer].resources = await this.resourceScanner.scan(
-                        path.join(modulePath, layer)
+                        path.join(modulePath, layer),
+                        { recursive: layer !== MODULE_ROOT }
                     );
                 }
             }
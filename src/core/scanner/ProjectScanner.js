@@ -1,14 +1,25 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { DependencyScanner } from './DependencyScanner.js';
 import { ModuleScanner } from './ModuleScanner.js';
+import { ResourceScanner } from './ResourceScanner.js';
+import { ModuleLayout } from '../config/ModuleLayout.js';
+import { ResourceNaming } from '../config/ResourceNaming.js';
 import { Logger } from '../../utils/Logger.js';
 import { PathResolver } from '../../utils/PathResolver.js';
+import { hasAnnotation } from '../parser/JavaParser.js';
+import { SourceParser } from '../parser/SourceParser.js';
 
 export class ProjectScanner {
-    constructor() {
-        this.moduleScanner = new ModuleScanner();
-        this.logger = new Logger();
-        this.pathResolver = new PathResolver();
+    // The configuration decides which top-level folders make a module, through its layout,
+    // and how resources are recognized, through its naming
+    constructor(projectPath = null, config = null, logger = new Logger()) {
+        this.layout = new ModuleLayout(config);
+        this.moduleScanner = new ModuleScanner(this.layout, new ResourceScanner(new ResourceNaming(config)));
+        this.logger = logger;
+        this.pathResolver = new PathResolver(projectPath);
+        this.sourceParser = new SourceParser();
+        this.dependencyScanner = new DependencyScanner(this.sourceParser);
     }
 
     async scan(verbose) {
@@ -17,12 +28,19 @@ export class ProjectScanner {
             if (verbose)
                 this.logger.info('Starting project scan...');
             
-            const sourcePath = this.pathResolver.findJavaSourcePath();
+            const language = this.pathResolver.detectLanguage();
+            const sourcePath = this.pathResolver.findSourcePath(language);
             this.logger.debug('Found source path:', sourcePath);
 
+            const projectRoot = this.pathResolver.getProjectRootPath();
+            const buildRoot = this.pathResolver.getBuildRootPath();
+
             const projectStructure = {
+                project: path.relative(buildRoot, projectRoot).split(path.sep).join('/') || path.basename(projectRoot),
+                projectPath: projectRoot,
                 basePackage: await this.findBasePackage(sourcePath),
                 sourcePath: sourcePath,
+                language,
                 modules: [],
                 timestamp: new Date().toISOString()
             };
@@ -42,6 +60,9 @@ export class ProjectScanner {
                 }
             }
 
+            // Imports between the modules, once they are all known
+            await this.dependencyScanner.scan(projectStructure);
+
             this.logger.success('Project scan completed successfully');
             return projectStructure;
 
@@ -51,9 +72,37 @@ export class ProjectScanner {
         }
     }
 
+    // Every project of the build, the root included, that contains a Spring Boot application
+    async findApplicationProjects() {
+        const buildRoot = this.pathResolver.getBuildRootPath();
+        const subprojects = this.pathResolver.findSubprojects(buildRoot);
+        const projects = [];
+        const sourcePaths = new Set();
+
+        // Subprojects go first so a root falling back to app/src is not listed next to the app project itself
+        for (const candidate of [...subprojects, { name: path.basename(buildRoot), path: buildRoot }]) {
+            let sourcePath;
+            try {
+                sourcePath = new PathResolver(candidate.path).findSourcePath();
+            } catch {
+                continue;
+            }
+            if (!sourcePaths.has(sourcePath) && await this.findMainClass(sourcePath)) {
+                sourcePaths.add(sourcePath);
+                if (candidate.path === buildRoot) {
+                    projects.unshift(candidate);
+                } else {
+                    projects.push(candidate);
+                }
+            }
+        }
+
+        return projects;
+    }
+
     async findBasePackage(sourcePath) {
         try {
-            // Look for Application.java or similar main class
+            // Look for Application.java, Application.kt or similar main class
             const mainClass = await this.findMainClass(sourcePath);
             if (!mainClass) {
                 throw new Error('Could not find Spring Boot main class');
@@ -75,9 +124,9 @@ export class ProjectScanner {
                 if (file.isDirectory()) {
                     const result = await this.findMainClass(fullPath);
                     if (result) return result;
-                } else if (file.name.endsWith('Application.java')) {
+                } else if (/Application\.(java|kt)$/.test(file.name)) {
                     const content = await fs.readFile(fullPath, 'utf-8');
-                    if (content.includes('@SpringBootApplication')) {
+                    if (hasAnnotation(this.sourceParser.parse(content, fullPath).type, 'SpringBootApplication')) {
                         return fullPath;
                     }
                 }
@@ -119,11 +168,14 @@ export class ProjectScanner {
     async isValidModule(modulePath) {
         try {
             const contents = await fs.readdir(modulePath);
-            const hasCleanArchStructure = contents.some(item => 
-                ['application', 'domain', 'infrastructure'].includes(item.toLowerCase())
+            const layerNames = this.layout.layerNames().map(name => name.toLowerCase());
+            const hasLayerStructure = contents.some(item =>
+                layerNames.includes(item.toLowerCase())
             );
-            
-            return hasCleanArchStructure;
+
+            // Layouts placing resources in the module package make every package below the base package a module,
+            // a new one starts out empty
+            return hasLayerStructure || this.layout.usesModuleRoot();
         } catch (error) {
             this.logger.error(`Error checking module structure in ${modulePath}:`, error);
             return false;
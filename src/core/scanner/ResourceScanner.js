@@ -1,17 +1,27 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { findAnnotation, findIdField, hasAnnotation } from '../parser/JavaParser.js';
+import { SourceParser } from '../parser/SourceParser.js';
+import { DEFAULT_NAMING, ResourceNaming } from '../config/ResourceNaming.js';
 
 export class ResourceScanner {
-    async scan(directoryPath) {
+    // Class name suffixes come from the naming configuration, so renamed resources are still recognized
+    constructor(naming = new ResourceNaming()) {
+        this.naming = naming;
+        this.sourceParser = new SourceParser();
+    }
+
+    async scan(directoryPath, { recursive = true } = {}) {
         try {
-            const resources = [];
-            const files = await this.getAllFiles(directoryPath);
+            const files = await this.getAllFiles(directoryPath, recursive);
             
             const allResources = await Promise.all(files
-                .filter(file => file.endsWith('.java'))
+                .filter(file => this.sourceParser.isSourceFile(file))
                 .map(file => this.analyzeJavaFile(file)));
 
             const validResources = allResources.filter(r => r !== null);
+            this.resolveInheritedIds(validResources);
+            this.linkImplementations(validResources);
             const resourceMap = new Map();
             
             validResources.forEach(resource => {
@@ -20,14 +30,24 @@ export class ResourceScanner {
                     resourceMap.set(key, {
                         name: key,
                         type: resource.type,
+                        package: resource.packageName,
                         path: resource.path,
                         implementation: resource.isImplementation ? resource.name : null,
-                        mapperType: resource.mapperType
+                        implementationPackage: resource.isImplementation ? resource.packageName : null,
+                        implementationPath: resource.isImplementation ? resource.path : null,
+                        mapperType: resource.mapperType,
+                        idType: resource.idType
                     });
                 } else {
                     const existing = resourceMap.get(key);
                     if (resource.isImplementation) {
                         existing.implementation = resource.name;
+                        existing.implementationPackage = resource.packageName;
+                        existing.implementationPath = resource.path;
+                    } else if (existing.path === existing.implementationPath) {
+                        // The implementation was read first, this is the interface itself
+                        existing.package = resource.packageName;
+                        existing.path = resource.path;
                     }
                 }
             });
@@ -39,14 +59,56 @@ export class ResourceScanner {
         }
     }
 
-    async getAllFiles(dirPath) {
+    getIdType(parsed) {
+        // Kotlin ids are usually nullable until the entity is persisted
+        return findIdField(parsed.type)?.type?.replace(/\?$/, '') || null;
+    }
+
+    resolveInheritedIds(resources) {
+        // Entities often inherit the id from a @MappedSuperclass scanned alongside them
+        const byName = new Map(resources.map(resource => [resource.name, resource]));
+
+        for (const resource of resources.filter(r => r.type === 'entity' && !r.idType)) {
+            const visited = new Set();
+            let parent = byName.get(resource.superclass);
+            while (parent && !visited.has(parent.name)) {
+                if (parent.ownIdType) {
+                    resource.idType = parent.ownIdType;
+                    break;
+                }
+                visited.add(parent.name);
+                parent = byName.get(parent.superclass);
+            }
+        }
+    }
+
+    // Classes named freely, e.g. ProductService implementing ProductUseCase, are tied to the interface they implement
+    linkImplementations(resources) {
+        const interfaces = new Map(resources
+            .filter(resource => resource.isInterface)
+            .map(resource => [resource.name, resource]));
+
+        for (const resource of resources.filter(r => !r.isInterface && !r.isImplementation)) {
+            const implemented = resource.interfaces
+                .map(name => interfaces.get(name))
+                .find(candidate => candidate && candidate.type === resource.type);
+            if (implemented) {
+                resource.isImplementation = true;
+                resource.interfaceName = implemented.name;
+            }
+        }
+    }
+
+    async getAllFiles(dirPath, recursive = true) {
         const files = [];
         const items = await fs.readdir(dirPath, { withFileTypes: true });
         
         for (const item of items) {
             const fullPath = path.join(dirPath, item.name);
             if (item.isDirectory()) {
-                files.push(...await this.getAllFiles(fullPath));
+                if (recursive) {
+                    files.push(...await this.getAllFiles(fullPath));
+                }
             } else {
                 files.push(fullPath);
             }
@@ -57,23 +119,29 @@ export class ResourceScanner {
     async analyzeJavaFile(filePath) {
         try {
             const content = await fs.readFile(filePath, 'utf-8');
-            const fileName = path.basename(filePath, '.java');
+            const fileName = path.basename(filePath, path.extname(filePath));
             const relativePath = path.relative(process.cwd(), filePath);
-            
+            const parsed = this.sourceParser.parse(content, filePath);
+
             const isImplementation = fileName.endsWith('Impl');
             const interfaceName = isImplementation ? fileName.replace('Impl', '') : null;
             
-            let type = this.determineResourceType(content, fileName);
-            let mapperType = this.determineMapperType(content);
+            let type = this.determineResourceType(parsed, fileName);
+            let mapperType = this.determineMapperType(parsed);
 
             return {
                 name: fileName,
                 type,
+                packageName: parsed.packageName,
                 path: relativePath,
                 isImplementation,
                 interfaceName,
-                isInterface: content.includes('interface '),
-                mapperType
+                isInterface: parsed.type?.kind === 'interface',
+                interfaces: (parsed.type?.interfaces || []).map(name => name.replace(/<.*$/, '').split('.').pop()),
+                mapperType,
+                superclass: parsed.type?.superclass?.replace(/<.*$/, '').split('.').pop() || null,
+                ownIdType: this.getIdType(parsed),
+                idType: type === 'entity' ? this.getIdType(parsed) : null
             };
 
         } catch (error) {
@@ -82,59 +150,89 @@ export class ResourceScanner {
         }
     }
 
-    determineResourceType(content, fileName) {
-        if (content.includes('public enum')) {
+    determineResourceType(parsed, fileName) {
+        const javaType = parsed.type;
+        if (!javaType) {
+            return 'unknown';
+        }
+
+        if (javaType.kind === 'enum') {
             return 'enum';
         }
-        if (content.includes('@Entity') || content.includes('@Table')) {
+        if (hasAnnotation(javaType, 'Entity', 'Table')) {
             return 'entity';
         }
-        if (content.includes('@Service')) {
+        if (hasAnnotation(javaType, 'Service')) {
             return 'service';
         }
-        if (content.includes('@Controller') || content.includes('@RestController')) {
+        if (hasAnnotation(javaType, 'Controller', 'RestController')) {
             return 'controller';
         }
-        if (content.includes('@Repository')) {
+        if (hasAnnotation(javaType, 'Repository')) {
             return 'repository';
         }
-        if (fileName.endsWith('DTO') || fileName.endsWith('Dto')) {
+        if (fileName.endsWith('Dto') || this.suffixesOf('dto').some(suffix => fileName.endsWith(suffix))) {
             return 'dto';
         }
-        if (this.determineMapperType(content) !== null) {
+        if (this.determineMapperType(parsed) !== null) {
             return 'mapper';
         }
         // Check for interface types
-        if (content.includes('interface')) {
-            if (content.includes('Repository')) return 'repository';
-            if (content.includes('Service')) return 'service';
-            if (fileName.includes('Mapper')) return 'mapper';
+        if (javaType.kind === 'interface') {
+            const interfaceType = this.determineInterfaceType(parsed, fileName);
+            if (interfaceType !== 'unknown') return interfaceType;
+        }
+        // Manual mappers carry no annotation on the interface
+        if ([...this.suffixesOf('mapper'), ...this.suffixesOf('mapperImpl')].some(suffix => fileName.endsWith(suffix))) {
+            return 'mapper';
+        }
+        // Adapters implementing a repository port are plain components
+        if (this.suffixesOf('repositoryAdapter').some(suffix => fileName.endsWith(suffix))) {
+            return 'repository';
         }
         return 'unknown';
     }
 
-    determineMapperType(content) {
-        if (!content.includes('@Mapper')) {
+    determineMapperType(parsed) {
+        const mapper = findAnnotation(parsed.type, 'Mapper');
+        if (!mapper) {
             return null;
         }
 
-        if (content.includes('@Mapper(componentModel = "spring")')) {
+        // Only MapStruct's @Mapper counts, not MyBatis or other libraries
+        const fromMapStruct = mapper.qualifiedName.startsWith('org.mapstruct') ||
+            parsed.imports.some(imp => imp.name === 'org.mapstruct.Mapper' || imp.name === 'org.mapstruct.*');
+        if (!fromMapStruct) {
+            return null;
+        }
+
+        if (/componentModel\s*=\s*(?:"spring"|MappingConstants\.ComponentModel\.SPRING)/.test(mapper.arguments || '')) {
             return 'mapstruct-spring';
         }
 
         return 'mapstruct';
     }
 
-    determineInterfaceType(content, fileName) {
-        if (content.includes('extends JpaRepository')) {
+    determineInterfaceType(parsed, fileName) {
+        const extendsRepository = parsed.type.interfaces.some(type => /^(\w+\.)*\w*Repository\b/.test(type));
+        if (extendsRepository) {
             return 'repository';
         }
-        if (fileName.includes('Service')) {
+        if (this.suffixesOf('service').some(suffix => fileName.includes(suffix))) {
             return 'service';
         }
-        if (fileName.includes('Mapper')) {
+        if (this.suffixesOf('mapper').some(suffix => fileName.includes(suffix))) {
             return 'mapper';
         }
+        // Repository ports of a hexagonal layout extend nothing
+        if (this.suffixesOf('repository').some(suffix => fileName.endsWith(suffix))) {
+            return 'repository';
+        }
         return 'unknown';
     }
-}
\ No newline at end of file
+
+    // The configured suffix and the default one, so resources created before a naming change are still recognized
+    suffixesOf(type) {
+        return [...new Set([this.naming.suffixes[type], DEFAULT_NAMING[type]])];
+    }
+}
@@ -0,0 +1,272 @@
+import chalk from 'chalk';
+import path from 'path';
+import { MODULE_ROOT } from '../config/ModuleLayout.js';
+
+// Output formats of `sboot scan`. Every format is built from the same report, whose JSON shape is documented
+// in the README: add fields freely, but bump SCAN_REPORT_VERSION when one is renamed, moved or removed.
+
+export const SCAN_FORMATS = ['tree', 'json', 'yaml', 'markdown', 'csv'];
+
+export const SCAN_REPORT_VERSION = 1;
+
+const FORMAT_EXTENSIONS = {
+    '.json': 'json',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.csv': 'csv',
+    '.txt': 'tree'
+};
+
+const CSV_COLUMNS = ['module', 'layer', 'name', 'type', 'package', 'path', 'idType', 'mapperType',
+    'implementation', 'implementationPackage', 'implementationPath'];
+
+// The format matching a file extension, JSON for anything else
+export function formatFromPath(filePath) {
+    return FORMAT_EXTENSIONS[path.extname(filePath).toLowerCase()] || 'json';
+}
+
+export function formatScan(projectStructure, format = 'tree', colors = chalk) {
+    const report = toScanReport(projectStructure);
+
+    switch (format) {
+        case 'tree':
+            return formatTree(report, colors);
+        case 'json':
+            return `${JSON.stringify(report, null, 2)}\n`;
+        case 'yaml':
+            return `${yamlLines(report, '').join('\n')}\n`;
+        case 'markdown':
+            return formatMarkdown(report);
+        case 'csv':
+            return formatCsv(report);
+        default:
+            throw new Error(`Invalid format '${format}'. Valid formats are: ${SCAN_FORMATS.join(', ')}`);
+    }
+}
+
+// Paths are relative to the project and use forward slashes, modules and resources are sorted by name,
+// and optional values are null rather than missing
+export function toScanReport(projectStructure) {
+    const relative = filePath => filePath
+        ? path.relative(projectStructure.projectPath, path.resolve(filePath)).split(path.sep).join('/')
+        : null;
+
+    const modules = [...projectStructure.modules]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(module => {
+            const layers = Object.entries(module.layers).filter(([, layer]) => layer);
+
+            return {
+                name: module.name,
+                package: `${projectStructure.basePackage}.${module.name}`,
+                path: relative(module.path),
+                layers: layers.map(([name, layer]) => ({
+                    name,
+                    path: relative(layer.path),
+                    directories: name === MODULE_ROOT ? [] : [...layer.directories].sort()
+                })),
+                resources: layers.flatMap(([name, layer]) => [...(layer.resources || [])]
+                    .sort((a, b) => a.name.localeCompare(b.name))
+                    .map(resource => ({
+                        name: resource.name,
+                        type: resource.type,
+                        layer: name,
+                        package: resource.package ?? null,
+                        path: relative(resource.path),
+                        idType: resource.idType ?? null,
+                        mapperType: resource.mapperType ?? null,
+                        implementation: resource.implementation ? {
+                            name: resource.implementation,
+                            package: resource.implementationPackage ?? null,
+                            path: relative(resource.implementationPath)
+                        } : null
+                    }))),
+                dependencies: module.dependencies || []
+            };
+        });
+
+    return {
+        schemaVersion: SCAN_REPORT_VERSION,
+        project: projectStructure.project,
+        basePackage: projectStructure.basePackage,
+        language: projectStructure.language,
+        projectPath: projectStructure.projectPath,
+        sourcePath: relative(projectStructure.sourcePath),
+        scannedAt: projectStructure.timestamp,
+        modules,
+        cycles: projectStructure.cycles || []
+    };
+}
+
+function formatTree(report, colors) {
+    const lines = [
+        'Project Structure:',
+        `${colors.blue('Project:')} ${report.project}`,
+        `${colors.blue('Base Package:')} ${report.basePackage}`,
+        '',
+        'Modules:'
+    ];
+
+    for (const module of report.modules) {
+        lines.push('', colors.green(`📦 ${module.name}`));
+
+        for (const layer of module.layers) {
+            // Files directly in the module package, whose folders are listed as layers already
+            const isModuleRoot = layer.name === MODULE_ROOT;
+            const resources = module.resources.filter(resource => resource.layer === layer.name);
+            if (isModuleRoot && resources.length === 0) {
+                continue;
+            }
+
+            lines.push(colors.yellow(`  └─ ${isModuleRoot ? '(module package)' : layer.name}`));
+            layer.directories.forEach(directory => lines.push(`     └─ ${directory}`));
+
+            if (resources.length > 0) {
+                lines.push(colors.cyan('     └─ Resources:'));
+                for (const resource of resources) {
+                    let typeInfo = resource.type;
+                    if (resource.type === 'mapper' && resource.mapperType) {
+                        typeInfo += ` (${resource.mapperType})`;
+                    }
+                    if (resource.type === 'entity' && resource.idType) {
+                        typeInfo += `, id: ${resource.idType}`;
+                    }
+                    const implementationInfo = resource.implementation
+                        ? colors.gray(` (implemented by ${resource.implementation.name})`)
+                        : '';
+
+                    lines.push(`        └─ ${resource.name} (${typeInfo})${implementationInfo} ${colors.gray(resource.path)}`);
+                }
+            }
+        }
+
+        if (module.dependencies.length > 0) {
+            lines.push(colors.yellow('  └─ Depends on'));
+            for (const dependency of module.dependencies) {
+                const files = `${dependency.files.length} file${dependency.files.length === 1 ? '' : 's'}`;
+                lines.push(`     └─ ${dependency.module} ${colors.gray(`(${dependency.count} import${dependency.count === 1 ? '' : 's'} in ${files})`)}`);
+            }
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+function formatMarkdown(report) {
+    const lines = [
+        `# ${report.project}`,
+        '',
+        `- Base package: \`${report.basePackage}\``,
+        `- Language: ${report.language}`,
+        `- Scanned at: ${report.scannedAt}`
+    ];
+
+    for (const module of report.modules) {
+        lines.push('', `## ${module.name}`, '', `Package \`${module.package}\` in \`${module.path}\``);
+
+        if (module.resources.length > 0) {
+            lines.push('', '| Resource | Type | Package | File | ID type | Implementation |', '|---|---|---|---|---|---|');
+            for (const resource of module.resources) {
+                const type = resource.mapperType ? `${resource.type} (${resource.mapperType})` : resource.type;
+                const implementation = resource.implementation
+                    ? `${resource.implementation.name} (\`${resource.implementation.path}\`)`
+                    : '';
+                lines.push(markdownRow([resource.name, type, code(resource.package), code(resource.path),
+                    resource.idType || '', implementation]));
+            }
+        }
+
+        if (module.dependencies.length > 0) {
+            lines.push('', '| Depends on | Imports | Files |', '|---|---|---|');
+            for (const dependency of module.dependencies) {
+                lines.push(markdownRow([dependency.module, dependency.count,
+                    dependency.files.map(file => code(file.path)).join('<br>')]));
+            }
+        }
+    }
+
+    if (report.cycles.length > 0) {
+        lines.push('', '## Dependency cycles', '');
+        report.cycles.forEach(cycle => lines.push(`- ${cycle.join(', ')}`));
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+function markdownRow(cells) {
+    return `| ${cells.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`;
+}
+
+function code(text) {
+    return text ? `\`${text}\`` : '';
+}
+
+// One row per resource
+function formatCsv(report) {
+    const rows = report.modules.flatMap(module => module.resources.map(resource => [
+        module.name,
+        resource.layer,
+        resource.name,
+        resource.type,
+        resource.package,
+        resource.path,
+        resource.idType,
+        resource.mapperType,
+        resource.implementation?.name,
+        resource.implementation?.package,
+        resource.implementation?.path
+    ]));
+
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function csvCell(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Block-style YAML for the plain data of a report
+function yamlLines(value, indent) {
+    if (Array.isArray(value)) {
+        return value.flatMap(item => {
+            if (!isYamlBlock(item)) {
+                return [`${indent}- ${yamlScalar(item)}`];
+            }
+            const [first, ...rest] = yamlLines(item, `${indent}  `);
+            return [`${indent}- ${first.trimStart()}`, ...rest];
+        });
+    }
+
+    return Object.entries(value).flatMap(([key, item]) => isYamlBlock(item)
+        ? [`${indent}${key}:`, ...yamlLines(item, `${indent}  `)]
+        : [`${indent}${key}: ${yamlScalar(item)}`]);
+}
+
+function isYamlBlock(value) {
+    return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+function yamlScalar(value) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return '[]';
+    }
+    if (typeof value === 'object') {
+        return '{}';
+    }
+    if (typeof value !== 'string') {
+        return String(value);
+    }
+
+    // Plain strings unless YAML would read them as something else, JSON strings are valid YAML otherwise
+    const plain = /^[\w./][\w./ -]*$/.test(value) &&
+        !/\s$/.test(value) &&
+        !/^(true|false|yes|no|on|off|null|~)$/i.test(value) &&
+        !/^[-+]?(\d[\d_]*)?(\.\d+)?([eE][-+]?\d+)?$/.test(value) &&
+        !/^\.(inf|nan)$/i.test(value);
+    return plain ? value : JSON.stringify(value);
+}
@@ -1,11 +1,18 @@
 import chalk from 'chalk';
 
 export class Logger {
+    // A quiet logger only reports problems, for commands whose standard output is a report
+    constructor({ quiet = false } = {}) {
+        this.quiet = quiet;
+    }
+
     info(message, ...args) {
+        if (this.quiet) return;
         console.log(chalk.blue('ℹ'), chalk.blue(message), ...args);
     }
 
     success(message, ...args) {
+        if (this.quiet) return;
         console.log(chalk.green('✓'), chalk.green(message), ...args);
     }
 
@@ -1,13 +1,30 @@
 import fs from 'fs-extra';
 import path from 'path';
 
+const BUILD_FILES = ['pom.xml', 'build.gradle', 'build.gradle.kts'];
+const SETTINGS_FILES = ['settings.gradle', 'settings.gradle.kts'];
+
 export class PathResolver {
-    findJavaSourcePath() {
+    // A project directory pins every lookup to that (sub)project instead of the current directory
+    constructor(projectPath = null) {
+        this.projectPath = projectPath ? path.resolve(projectPath) : null;
+    }
+
+    findSourcePath(language = this.detectLanguage()) {
         const projectRoot = this.getProjectRootPath();
-        const commonSourcePaths = [
+        const javaPaths = [
             'src/main/java',
             'app/src/main/java'
         ];
+        const kotlinPaths = [
+            'src/main/kotlin',
+            'app/src/main/kotlin'
+        ];
+
+        // Kotlin projects may still keep their sources under src/main/java
+        const commonSourcePaths = language === 'kotlin'
+            ? [...kotlinPaths, ...javaPaths]
+            : [...javaPaths, ...kotlinPaths];
 
         for (const sourcePath of commonSourcePaths) {
             const fullPath = path.join(projectRoot, sourcePath);
@@ -16,7 +33,26 @@ export class PathResolver {
             }
         }
 
-        throw new Error('Could not find Java source directory. Make sure you are in a Spring Boot project root directory.');
+        throw new Error('Could not find Java or Kotlin source directory. Make sure you are in a Spring Boot project root directory.');
+    }
+
+    detectLanguage() {
+        const projectRoot = this.getProjectRootPath();
+
+        if (['src/main/kotlin', 'app/src/main/kotlin'].some(dir => fs.existsSync(path.join(projectRoot, dir)))) {
+            return 'kotlin';
+        }
+
+        // The Kotlin Gradle DSL alone does not mean Kotlin sources, the Kotlin plugin does
+        for (const buildFile of ['build.gradle.kts', 'build.gradle', 'pom.xml']) {
+            const buildPath = path.join(projectRoot, buildFile);
+            if (fs.existsSync(buildPath) &&
+                /org\.jetbrains\.kotlin|kotlin\(\s*"jvm"\s*\)|kotlin-maven-plugin/.test(fs.readFileSync(buildPath, 'utf-8'))) {
+                return 'kotlin';
+            }
+        }
+
+        return 'java';
     }
 
     isGradleProject() {
@@ -31,16 +67,16 @@ export class PathResolver {
     }
 
     getProjectRootPath() {
+        if (this.projectPath) {
+            return this.projectPath;
+        }
+
         // Start with current directory
         let currentPath = process.cwd();
         
         // Look for common project files
         while (currentPath !== path.parse(currentPath).root) {
-            if (
-                fs.existsSync(path.join(currentPath, 'pom.xml')) ||
-                fs.existsSync(path.join(currentPath, 'build.gradle')) ||
-                fs.existsSync(path.join(currentPath, 'build.gradle.kts'))
-            ) {
+            if (this.hasBuildFile(currentPath)) {
                 return currentPath;
             }
             currentPath = path.dirname(currentPath);
@@ -50,6 +86,90 @@ export class PathResolver {
         return process.cwd();
     }
 
+    // The outermost build that lists the current project as one of its modules
+    getBuildRootPath() {
+        const projectRoot = this.getProjectRootPath();
+        let buildRoot = projectRoot;
+
+        let currentPath = path.dirname(projectRoot);
+        while (currentPath !== path.parse(currentPath).root) {
+            if (this.hasBuildFile(currentPath) &&
+                this.findSubprojects(currentPath).some(subproject => subproject.path === projectRoot)) {
+                buildRoot = currentPath;
+            }
+            currentPath = path.dirname(currentPath);
+        }
+
+        return buildRoot;
+    }
+
+    hasBuildFile(directory) {
+        return [...BUILD_FILES, ...SETTINGS_FILES].some(file => fs.existsSync(path.join(directory, file)));
+    }
+
+    // Maven <modules> (nested aggregators included) and Gradle settings includes, named by their path from the root
+    findSubprojects(rootPath = this.getProjectRootPath()) {
+        const subprojects = [];
+        const visited = new Set([rootPath]);
+
+        const visit = (directory) => {
+            for (const modulePath of this.readModuleDeclarations(directory)) {
+                const fullPath = path.resolve(directory, modulePath);
+                if (visited.has(fullPath) || !fs.existsSync(fullPath)) {
+                    continue;
+                }
+                visited.add(fullPath);
+                subprojects.push({
+                    name: path.relative(rootPath, fullPath).split(path.sep).join('/'),
+                    path: fullPath
+                });
+                visit(fullPath);
+            }
+        };
+
+        visit(rootPath);
+        return subprojects;
+    }
+
+    readModuleDeclarations(directory) {
+        const modules = [];
+
+        const pomPath = path.join(directory, 'pom.xml');
+        if (fs.existsSync(pomPath)) {
+            const pom = fs.readFileSync(pomPath, 'utf-8').replace(/<!--[\s\S]*?-->/g, '');
+            for (const match of pom.matchAll(/<module>\s*([^<]+?)\s*<\/module>/g)) {
+                modules.push(match[1]);
+            }
+        }
+
+        for (const settingsFile of SETTINGS_FILES) {
+            const settingsPath = path.join(directory, settingsFile);
+            if (!fs.existsSync(settingsPath)) {
+                continue;
+            }
+
+            const settings = fs.readFileSync(settingsPath, 'utf-8')
+                .replace(/\/\*[\s\S]*?\*\//g, '')
+                .replace(/\/\/.*$/gm, '');
+
+            // project(':api').projectDir = file('services/api') moves a project away from its default directory
+            const projectDirs = new Map(
+                [...settings.matchAll(/project\(\s*['"]([^'"]+)['"]\s*\)\.projectDir\s*=\s*(?:file\(\s*)?['"]([^'"]+)['"]/g)]
+                    .map(match => [match[1].replace(/^:/, ''), match[2]])
+            );
+
+            // include 'a', ':b:c' and include("a", "b") with one or more project paths
+            for (const statement of settings.matchAll(/\binclude\s*\(?([^)\n]*)/g)) {
+                for (const project of statement[1].matchAll(/['"]([^'"]+)['"]/g)) {
+                    const projectPath = project[1].replace(/^:/, '');
+                    modules.push(projectDirs.get(projectPath) || projectPath.split(':').join('/'));
+                }
+            }
+        }
+
+        return modules;
+    }
+
     resolveProjectPath(...paths) {
         return path.join(this.getProjectRootPath(), ...paths);
     }
@@ -0,0 +1,50 @@
+import inquirer from 'inquirer';
+import path from 'path';
+import { ProjectScanner } from '../core/scanner/ProjectScanner.js';
+
+// Picks the Spring Boot application to work on in a multi-module build
+export class ProjectSelector {
+    async select(projectName) {
+        const scanner = new ProjectScanner();
+        const projects = await scanner.findApplicationProjects();
+
+        if (projectName) {
+            const project = projects.find(candidate =>
+                candidate.name === projectName || path.basename(candidate.path) === projectName
+            );
+            if (!project) {
+                throw new Error(projects.length > 0
+                    ? `Project '${projectName}' not found. Available projects: ${projects.map(candidate => candidate.name).join(', ')}`
+                    : `Project '${projectName}' not found, no Spring Boot application was found in this build`);
+            }
+            return project;
+        }
+
+        if (projects.length <= 1) {
+            return projects[0] || null;
+        }
+
+        // Running from inside one of the module applications selects it, the build root stays ambiguous
+        const cwd = process.cwd();
+        const buildRoot = scanner.pathResolver.getBuildRootPath();
+        const current = projects
+            .filter(candidate => candidate.path !== buildRoot)
+            .find(candidate => cwd === candidate.path || cwd.startsWith(candidate.path + path.sep));
+        if (current) {
+            return current;
+        }
+
+        if (!process.stdin.isTTY) {
+            throw new Error(`This build contains several Spring Boot applications (${projects.map(candidate => candidate.name).join(', ')}), choose one with --project`);
+        }
+
+        const { project } = await inquirer.prompt([{
+            type: 'list',
+            name: 'project',
+            message: 'Select project:',
+            choices: projects.map(candidate => ({ name: candidate.name, value: candidate }))
+        }]);
+
+        return project;
+    }
+}
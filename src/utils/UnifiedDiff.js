@@ -0,0 +1,156 @@
+export class UnifiedDiff {
+    constructor(context = 3) {
+        this.context = context;
+    }
+
+    create(oldContent, newContent, oldName, newName = oldName) {
+        const oldLines = this.splitLines(oldContent);
+        const newLines = this.splitLines(newContent);
+        const hunks = this.buildHunks(this.diffLines(oldLines, newLines));
+
+        if (hunks.length === 0) {
+            return '';
+        }
+
+        const lines = [
+            `--- ${oldContent === null ? '/dev/null' : `a/${oldName}`}`,
+            `+++ ${newContent === null ? '/dev/null' : `b/${newName}`}`
+        ];
+
+        for (const hunk of hunks) {
+            lines.push(`@@ -${this.formatRange(hunk.oldStart, hunk.oldCount)} +${this.formatRange(hunk.newStart, hunk.newCount)} @@`);
+            for (const op of hunk.ops) {
+                const prefix = op.type === 'add' ? '+' : op.type === 'remove' ? '-' : ' ';
+                lines.push(`${prefix}${op.line}`);
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    splitLines(content) {
+        if (content === null || content === undefined || content === '') {
+            return [];
+        }
+        const lines = content.split('\n');
+        // A trailing newline does not start another line
+        if (lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines;
+    }
+
+    diffLines(oldLines, newLines) {
+        // Trim the common prefix and suffix so the LCS table only covers the changed region
+        let start = 0;
+        while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+            start++;
+        }
+
+        let oldEnd = oldLines.length;
+        let newEnd = newLines.length;
+        while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        const oldMiddle = oldLines.slice(start, oldEnd);
+        const newMiddle = newLines.slice(start, newEnd);
+
+        const table = Array.from({ length: oldMiddle.length + 1 }, () => new Array(newMiddle.length + 1).fill(0));
+        for (let i = oldMiddle.length - 1; i >= 0; i--) {
+            for (let j = newMiddle.length - 1; j >= 0; j--) {
+                table[i][j] = oldMiddle[i] === newMiddle[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        const ops = oldLines.slice(0, start).map(line => ({ type: 'equal', line }));
+
+        let i = 0;
+        let j = 0;
+        while (i < oldMiddle.length || j < newMiddle.length) {
+            if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+                ops.push({ type: 'equal', line: oldMiddle[i] });
+                i++;
+                j++;
+            } else if (i < oldMiddle.length && (j === newMiddle.length || table[i + 1][j] >= table[i][j + 1])) {
+                ops.push({ type: 'remove', line: oldMiddle[i] });
+                i++;
+            } else {
+                ops.push({ type: 'add', line: newMiddle[j] });
+                j++;
+            }
+        }
+
+        return ops.concat(oldLines.slice(oldEnd).map(line => ({ type: 'equal', line })));
+    }
+
+    buildHunks(ops) {
+        const hunks = [];
+        let current = null;
+        let oldLine = 1;
+        let newLine = 1;
+        let trailingEquals = 0;
+
+        ops.forEach((op, index) => {
+            if (op.type !== 'equal') {
+                if (!current) {
+                    // Open a hunk with up to `context` lines of leading context
+                    const leading = [];
+                    for (let k = index - 1; k >= 0 && leading.length < this.context && ops[k].type === 'equal'; k--) {
+                        leading.unshift(ops[k]);
+                    }
+                    current = {
+                        oldStart: oldLine - leading.length,
+                        newStart: newLine - leading.length,
+                        oldCount: leading.length,
+                        newCount: leading.length,
+                        ops: [...leading]
+                    };
+                    hunks.push(current);
+                }
+                trailingEquals = 0;
+            } else if (current) {
+                if (trailingEquals === this.context * 2) {
+                    // The gap is wide enough, keep only the trailing context and close the hunk
+                    const extra = this.context;
+                    current.ops.splice(current.ops.length - extra, extra);
+                    current.oldCount -= extra;
+                    current.newCount -= extra;
+                    current = null;
+                    trailingEquals = 0;
+                } else {
+                    trailingEquals++;
+                }
+            }
+
+            if (current) {
+                current.ops.push(op);
+                if (op.type !== 'add') current.oldCount++;
+                if (op.type !== 'remove') current.newCount++;
+            }
+
+            if (op.type !== 'add') oldLine++;
+            if (op.type !== 'remove') newLine++;
+        });
+
+        if (current && trailingEquals > this.context) {
+            const extra = trailingEquals - this.context;
+            current.ops.splice(current.ops.length - extra, extra);
+            current.oldCount -= extra;
+            current.newCount -= extra;
+        }
+
+        return hunks;
+    }
+
+    formatRange(start, count) {
+        // Empty ranges point at the line before the change
+        if (count === 0) {
+            return `${start - 1},0`;
+        }
+        return count === 1 ? `${start}` : `${start},${count}`;
+    }
+}